@@ -0,0 +1,159 @@
+import { User } from '../models/User.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { log } from '../utils/logger.js';
+import { AuditLog, AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../models/AuditLog.js';
+import { ROLES, isValidRole } from '../utils/permissions.js';
+import { withAudit } from '../utils/audit.js';
+
+// List users
+export const getUsers = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, role, search } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+  if (role !== undefined && !isValidRole(role)) {
+    return next(new AppError(`Invalid role. Allowed roles: ${ROLES.join(', ')}`, 400));
+  }
+
+  const result = await User.findAll({
+    page: pageNum,
+    limit: limitNum,
+    role,
+    search: search?.trim() || null
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Change a user's role
+export const updateUserRole = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  if (!isValidRole(role)) {
+    return next(new AppError(`Invalid role. Allowed roles: ${ROLES.join(', ')}`, 400));
+  }
+
+  if (parseInt(id) === req.user.id) {
+    return next(new AppError('You cannot change your own role', 400));
+  }
+
+  const user = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('user', parseInt(id));
+    const user = await User.updateRole(parseInt(id), role, client);
+    await record({ action: 'update', entityType: 'user', entityId: user.id, before });
+    return user;
+  });
+
+  log(`User ${user.email} role changed to ${role} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'User role updated successfully',
+    data: {
+      user
+    }
+  });
+});
+
+// Delete a user account
+export const deleteUser = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (parseInt(id) === req.user.id) {
+    return next(new AppError('Use DELETE /api/auth/account to delete your own account', 400));
+  }
+
+  await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('user', parseInt(id));
+    await User.delete(parseInt(id), client);
+    await record({ action: 'delete', entityType: 'user', entityId: parseInt(id), before });
+  });
+
+  log(`User ${id} deleted by admin ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'User deleted successfully'
+  });
+});
+
+// Lift a login lockout before it runs out
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const user = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('user', parseInt(id) || 0);
+    const user = await User.unlock(parseInt(id) || 0, client);
+    await record({ action: 'update', entityType: 'user', entityId: user.id, before });
+    return user;
+  });
+
+  log(`User ${user.email} unlocked by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'User unlocked successfully',
+    data: {
+      user
+    }
+  });
+});
+
+// Parse an optional ISO date filter; undefined when invalid
+const parseDateFilter = (value) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// The audit log (`?actorId=`, `?entityType=`, `?entityId=`, `?action=`, `?from=`, `?to=`)
+export const getAuditLog = asyncHandler(async (req, res, next) => {
+  const { actorId, entityType, entityId, action, from, to } = req.query;
+
+  const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+  if (entityType !== undefined && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+    return next(new AppError(`Invalid entity type. Allowed types: ${AUDIT_ENTITY_TYPES.join(', ')}`, 400));
+  }
+
+  if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+    return next(new AppError(`Invalid action. Allowed actions: ${AUDIT_ACTIONS.join(', ')}`, 400));
+  }
+
+  const fromDate = parseDateFilter(from);
+  const toDate = parseDateFilter(to);
+  if (fromDate === undefined || toDate === undefined) {
+    return next(new AppError('from and to must be valid dates', 400));
+  }
+
+  const result = await AuditLog.findAll({
+    page: pageNum,
+    limit: limitNum,
+    actorId: actorId !== undefined ? parseInt(actorId) || 0 : null,
+    entityType: entityType || null,
+    entityId: entityId || null,
+    action: action || null,
+    from: fromDate,
+    to: toDate
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+export default {
+  getUsers,
+  updateUserRole,
+  deleteUser,
+  unlockUser,
+  getAuditLog
+};
@@ -1,7 +1,22 @@
 import { User } from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
+import { Session } from '../models/Session.js';
+import { Follow } from '../models/Follow.js';
+import { Block } from '../models/Block.js';
+import { PasswordReset, getPasswordResetMinutes } from '../models/PasswordReset.js';
+import { LoginAttempt, getLockoutPolicy } from '../models/LoginAttempt.js';
+import { generateAccessToken, issueTokens } from '../middleware/auth.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { log } from '../utils/logger.js';
+import { sendMailInBackground } from '../utils/mailer.js';
+import { passwordResetEmail, verifyEmailEmail, passwordChangedEmail } from '../utils/emails.js';
+import { getFrontendUrl, getApiUrl } from '../utils/urls.js';
+import { getPermissions } from '../utils/permissions.js';
+import { withAudit } from '../utils/audit.js';
+import {
+  createVerificationToken,
+  readVerificationToken,
+  getResendIntervalSeconds
+} from '../utils/emailVerification.js';
 
 // Input validation helpers
 const validateEmail = (email) => {
@@ -17,6 +32,42 @@ const validateName = (name) => {
   return name && name.trim().length >= 2;
 };
 
+// Email a verification link, unless one went out within the resend interval
+// Returns false when throttled
+const sendVerificationEmail = async (user) => {
+  const claimed = await User.claimVerificationSend(user.id, getResendIntervalSeconds());
+  if (!claimed) {
+    return false;
+  }
+
+  const token = createVerificationToken(user);
+  const url = `${getApiUrl()}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+  sendMailInBackground({
+    to: user.email,
+    ...verifyEmailEmail({
+      name: user.name,
+      url,
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+    })
+  });
+
+  return true;
+};
+
+// Password changes are audited without the hash: the snapshot just notes the change
+// `tx` is the withAudit() transaction the password was changed in
+const recordPasswordChange = async (tx, userId) => {
+  const user = await tx.snapshot('user', userId);
+  await tx.record({
+    action: 'update',
+    entityType: 'user',
+    entityId: userId,
+    actorId: userId,
+    after: { ...user, password_changed: true }
+  });
+};
+
 // Register new user
 export const register = asyncHandler(async (req, res, next) => {
   const { name, email, password } = req.body;
@@ -41,14 +92,21 @@ export const register = asyncHandler(async (req, res, next) => {
   }
 
   // Create user
-  const user = await User.create({
-    name: name.trim(),
-    email: email.toLowerCase(),
-    password
+  const user = await withAudit(req, async ({ client, record }) => {
+    const user = await User.create({
+      name: name.trim(),
+      email: email.toLowerCase(),
+      password
+    }, client);
+
+    await record({ action: 'create', entityType: 'user', entityId: user.id, actorId: user.id });
+    return user;
   });
 
-  // Generate token
-  const token = generateToken(user.id);
+  await sendVerificationEmail(user);
+
+  // Start a session and issue tokens
+  const tokens = await issueTokens(user.id, req);
 
   log(`New user registered: ${user.email}`);
 
@@ -60,13 +118,19 @@ export const register = asyncHandler(async (req, res, next) => {
         id: user.id,
         name: user.name,
         email: user.email,
+        role: user.role,
+        email_verified_at: user.email_verified_at,
         created_at: user.created_at
       },
-      token
+      ...tokens
     }
   });
 });
 
+// Every failed login gets the same answer, so responses don't tell which emails
+// have accounts or which accounts are locked
+const loginFailedError = () => new AppError('Invalid email or password', 401);
+
 // Login user
 export const login = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
@@ -80,22 +144,44 @@ export const login = asyncHandler(async (req, res, next) => {
     return next(new AppError('Please provide a valid email address', 400));
   }
 
+  const attempt = {
+    email: email.toLowerCase(),
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+
   // Find user by email
-  const user = await User.findByEmail(email.toLowerCase());
+  const user = await User.findByEmail(attempt.email);
   if (!user) {
-    return next(new AppError('Invalid email or password', 401));
+    await LoginAttempt.record({ ...attempt, success: false, failureReason: 'unknown_email' });
+    return next(loginFailedError());
+  }
+
+  // Locked accounts are turned away before the password is checked
+  if (user.locked_until && new Date(user.locked_until) > new Date()) {
+    await LoginAttempt.record({ ...attempt, userId: user.id, success: false, failureReason: 'locked' });
+    return next(loginFailedError());
   }
 
   // Verify password
   const isValidPassword = await User.verifyPassword(password, user.password_hash);
   if (!isValidPassword) {
-    return next(new AppError('Invalid email or password', 401));
+    await LoginAttempt.record({ ...attempt, userId: user.id, success: false, failureReason: 'invalid_password' });
+    const { locked_until: lockedUntil } = await User.registerFailedLogin(user.id, getLockoutPolicy());
+
+    if (lockedUntil && new Date(lockedUntil) > new Date()) {
+      log(`Account locked until ${new Date(lockedUntil).toISOString()} after failed logins: ${user.email}`);
+    }
+    return next(loginFailedError());
   }
 
-  // Generate token
-  const token = generateToken(user.id);
+  await User.resetLoginFailures(user.id);
+  const { new_ip: newIp } = await LoginAttempt.record({ ...attempt, userId: user.id, success: true });
 
-  log(`User logged in: ${user.email}`);
+  // Start a session and issue tokens
+  const tokens = await issueTokens(user.id, req);
+
+  log(`User logged in: ${user.email}${newIp ? ` (new IP ${req.ip})` : ''}`);
 
   res.json({
     success: true,
@@ -105,15 +191,193 @@ export const login = asyncHandler(async (req, res, next) => {
         id: user.id,
         name: user.name,
         email: user.email,
+        role: user.role,
+        email_verified_at: user.email_verified_at,
         avatar_url: user.avatar_url,
         bio: user.bio,
         created_at: user.created_at
       },
-      token
+      ...tokens
+    }
+  });
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+export const refresh = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  const session = await Session.rotate(refreshToken, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: {
+      token: generateAccessToken(session.userId, session.sessionId),
+      refreshToken: session.refreshToken,
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+    }
+  });
+});
+
+// Logout: revoke the current session (by access token or refresh token)
+export const logout = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (req.sessionId) {
+    await Session.revoke(req.sessionId, 'logout');
+  } else if (refreshToken && typeof refreshToken === 'string') {
+    await Session.revokeByRefreshToken(refreshToken, 'logout');
+  } else {
+    return next(new AppError('Please provide a refresh token or access token', 400));
+  }
+
+  if (req.user) {
+    log(`User logged out: ${req.user.email}`);
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// Logout from every device
+export const logoutAll = asyncHandler(async (req, res, next) => {
+  const revoked = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+  log(`All sessions revoked for user: ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Logged out from all sessions',
+    data: {
+      revoked
+    }
+  });
+});
+
+// Confirm an email address from the emailed link
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return next(new AppError('Verification token is required', 400));
+  }
+
+  const { userId, email } = readVerificationToken(token);
+
+  const user = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('user', userId);
+    const user = await User.markEmailVerified(userId, email, client);
+    if (!user) {
+      throw new AppError('This verification link is no longer valid', 400);
+    }
+
+    if (!before.email_verified_at) {
+      await record({ action: 'update', entityType: 'user', entityId: user.id, actorId: user.id, before });
+    }
+
+    return user;
+  });
+
+  log(`Email verified for user: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Email address verified',
+    data: {
+      user
     }
   });
 });
 
+// Send the verification email again
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  if (req.user.email_verified_at) {
+    return next(new AppError('Email address is already verified', 400));
+  }
+
+  const sent = await sendVerificationEmail(req.user);
+  if (!sent) {
+    return next(new AppError('A verification email was sent recently. Please wait before requesting another.', 429));
+  }
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// Request a password reset link
+// Always answers the same way so it can't be used to probe for accounts
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email || !validateEmail(email)) {
+    return next(new AppError('Please provide a valid email address', 400));
+  }
+
+  const user = await User.findByEmail(email.toLowerCase());
+
+  if (user) {
+    const token = await PasswordReset.create(user.id, { ip: req.ip });
+
+    // null means a link was sent moments ago
+    if (token) {
+      const url = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+      sendMailInBackground({
+        to: user.email,
+        ...passwordResetEmail({ name: user.name, url, expiresMinutes: getPasswordResetMinutes() })
+      });
+      log(`Password reset requested for user: ${user.email}`);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+});
+
+// Choose a new password with a reset token
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const { token, password } = req.body;
+
+  if (!token) {
+    return next(new AppError('Reset token is required', 400));
+  }
+
+  if (!validatePassword(password)) {
+    return next(new AppError('Password must be at least 6 characters long', 400));
+  }
+
+  // Whoever had access before the reset is signed out, and the owner, who just
+  // proved control of the email address, can sign in again right away; both go
+  // with the new password, so it never applies while old sessions still work
+  const userId = await withAudit(req, async (tx) => {
+    const userId = await PasswordReset.consume(token, password, tx.client);
+    await recordPasswordChange(tx, userId);
+    await Session.revokeAllForUser(userId, 'password_reset', tx.client);
+    await User.resetLoginFailures(userId, tx.client);
+    return userId;
+  });
+
+  const user = await User.findById(userId);
+  sendMailInBackground({
+    to: user.email,
+    ...passwordChangedEmail({ name: user.name })
+  });
+
+  log(`Password reset completed for user: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+});
+
 // Get current user profile
 export const getProfile = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user.id);
@@ -122,15 +386,20 @@ export const getProfile = asyncHandler(async (req, res, next) => {
     return next(new AppError('User not found', 404));
   }
 
-  // Get user statistics
-  const stats = await User.getStats(user.id);
+  // Get user statistics and recent sign-ins
+  const [stats, recentLogins] = await Promise.all([
+    User.getStats(user.id),
+    LoginAttempt.findByUser(user.id, { limit: 10 })
+  ]);
 
   res.json({
     success: true,
     data: {
       user: {
         ...user,
-        stats
+        permissions: getPermissions(user.role),
+        stats,
+        recent_logins: recentLogins
       }
     }
   });
@@ -138,24 +407,60 @@ export const getProfile = asyncHandler(async (req, res, next) => {
 
 // Update user profile
 export const updateProfile = asyncHandler(async (req, res, next) => {
-  const { name, bio, avatarUrl } = req.body;
+  const { name, email, currentPassword, bio, avatarUrl } = req.body;
 
   // Validate name if provided
   if (name !== undefined && !validateName(name)) {
     return next(new AppError('Name must be at least 2 characters long', 400));
   }
 
+  // Changing the email needs the password and a fresh verification
+  const newEmail = email !== undefined && email.toLowerCase() !== req.user.email
+    ? email.toLowerCase()
+    : undefined;
+
+  if (newEmail !== undefined) {
+    if (!validateEmail(newEmail)) {
+      return next(new AppError('Please provide a valid email address', 400));
+    }
+
+    if (!currentPassword) {
+      return next(new AppError('Please provide your current password to change your email', 400));
+    }
+
+    const user = await User.findByEmail(req.user.email);
+    const isValidPassword = await User.verifyPassword(currentPassword, user.password_hash);
+    if (!isValidPassword) {
+      return next(new AppError('Current password is incorrect', 400));
+    }
+
+    if (await User.findByEmail(newEmail)) {
+      return next(new AppError('User already exists with this email', 409));
+    }
+  }
+
   // Validate bio length if provided
   if (bio !== undefined && bio.length > 500) {
     return next(new AppError('Bio must be less than 500 characters', 400));
   }
 
-  const updatedUser = await User.updateProfile(req.user.id, {
-    name: name?.trim(),
-    bio: bio?.trim(),
-    avatarUrl
+  const updatedUser = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('user', req.user.id);
+    const updatedUser = await User.updateProfile(req.user.id, {
+      name: name?.trim(),
+      email: newEmail,
+      bio: bio?.trim(),
+      avatarUrl
+    }, client);
+    await record({ action: 'update', entityType: 'user', entityId: req.user.id, before });
+    return updatedUser;
   });
 
+  if (newEmail !== undefined) {
+    await sendVerificationEmail(updatedUser);
+    log(`Email changed for user ${updatedUser.id}: ${req.user.email} -> ${updatedUser.email}`);
+  }
+
   log(`User profile updated: ${updatedUser.email}`);
 
   res.json({
@@ -184,13 +489,21 @@ export const changePassword = asyncHandler(async (req, res, next) => {
     return next(new AppError('New password must be different from current password', 400));
   }
 
-  await User.changePassword(req.user.id, currentPassword, newPassword);
+  // Sign out every existing session in the same transaction as the change,
+  // then give this client a fresh one
+  await withAudit(req, async (tx) => {
+    await User.changePassword(req.user.id, currentPassword, newPassword, tx.client);
+    await recordPasswordChange(tx, req.user.id);
+    await Session.revokeAllForUser(req.user.id, 'password_change', tx.client);
+  });
+  const tokens = await issueTokens(req.user.id, req);
 
   log(`Password changed for user: ${req.user.email}`);
 
   res.json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully',
+    data: tokens
   });
 });
 
@@ -204,14 +517,31 @@ export const getUserById = asyncHandler(async (req, res, next) => {
   }
 
   // Get user statistics
-  const stats = await User.getStats(user.id);
+  const [stats, followCounts] = await Promise.all([
+    User.getStats(user.id),
+    Follow.getCounts(user.id)
+  ]);
+
+  // Relationship to the signed-in viewer, if any
+  let viewer;
+  if (req.user && req.user.id !== user.id) {
+    const [following, blockStatus] = await Promise.all([
+      Follow.isFollowing(req.user.id, user.id),
+      Block.getStatus(req.user.id, user.id)
+    ]);
+    viewer = { following, blocked: blockStatus.blocked };
+  }
 
   res.json({
     success: true,
     data: {
       user: {
         ...user,
-        stats
+        stats: {
+          ...stats,
+          ...followCounts
+        },
+        viewer
       }
     }
   });
@@ -233,7 +563,12 @@ export const deleteAccount = asyncHandler(async (req, res, next) => {
     return next(new AppError('Invalid password', 401));
   }
 
-  await User.delete(req.user.id);
+  await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('user', req.user.id);
+    await Session.revokeAllForUser(req.user.id, 'account_deleted', client);
+    await User.delete(req.user.id, client);
+    await record({ action: 'delete', entityType: 'user', entityId: req.user.id, before });
+  });
 
   log(`User account deleted: ${req.user.email}`);
 
@@ -246,6 +581,13 @@ export const deleteAccount = asyncHandler(async (req, res, next) => {
 export default {
   register,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getProfile,
   updateProfile,
   changePassword,
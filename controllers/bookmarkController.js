@@ -0,0 +1,179 @@
+import { Bookmark, BOOKMARK_ORDER_KEYS } from '../models/Bookmark.js';
+import { Post } from '../models/Post.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+
+// Collection names: 1-100 characters
+const validateCollectionName = (name) => {
+  return typeof name === 'string' && name.trim().length > 0 && name.trim().length <= 100;
+};
+
+const validateDescription = (description) => {
+  return description === undefined || description === null ||
+    (typeof description === 'string' && description.length <= 500);
+};
+
+// Resolve a collection id from the request, checking that the user owns it
+const findOwnCollection = async (id, userId) => {
+  const collection = await Bookmark.findCollection(parseInt(id) || 0, userId);
+  if (!collection) {
+    throw new AppError('Collection not found', 404);
+  }
+  return collection;
+};
+
+// Bookmark a post, optionally into a collection (also moves an existing bookmark)
+export const addBookmark = asyncHandler(async (req, res, next) => {
+  const { postId } = req.params;
+  const { collectionId = null } = req.body;
+
+  const post = await Post.findById(parseInt(postId));
+  if (!post) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  if (!post.published) {
+    return next(new AppError('Cannot bookmark unpublished post', 403));
+  }
+
+  let collection = null;
+  if (collectionId !== null) {
+    collection = await findOwnCollection(collectionId, req.user.id);
+  }
+
+  const bookmark = await Bookmark.save(req.user.id, post.id, collection?.id ?? null);
+
+  res.status(201).json({
+    success: true,
+    message: 'Post bookmarked successfully',
+    data: {
+      bookmark
+    }
+  });
+});
+
+// Remove a bookmark
+export const removeBookmark = asyncHandler(async (req, res, next) => {
+  const removed = await Bookmark.remove(req.user.id, parseInt(req.params.postId) || 0);
+  if (!removed) {
+    return next(new AppError('Bookmark not found', 404));
+  }
+
+  res.json({
+    success: true,
+    message: 'Bookmark removed successfully'
+  });
+});
+
+// List bookmarked posts by saved date (`?collection=<id>` or `none` for unfiled ones)
+export const getBookmarks = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, collection, order = 'newest' } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+
+  if (!BOOKMARK_ORDER_KEYS.includes(order)) {
+    return next(new AppError(`Order must be one of: ${BOOKMARK_ORDER_KEYS.join(', ')}`, 400));
+  }
+
+  let collectionId;
+  if (collection === 'none') {
+    collectionId = null;
+  } else if (collection !== undefined) {
+    collectionId = (await findOwnCollection(collection, req.user.id)).id;
+  }
+
+  const result = await Bookmark.findByUser(req.user.id, {
+    page: pageNum,
+    limit: limitNum,
+    collectionId,
+    order
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// List the user's collections
+export const getCollections = asyncHandler(async (req, res, next) => {
+  const collections = await Bookmark.findCollections(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      collections
+    }
+  });
+});
+
+export const createCollection = asyncHandler(async (req, res, next) => {
+  const { name, description } = req.body;
+
+  if (!validateCollectionName(name)) {
+    return next(new AppError('Collection name must be between 1 and 100 characters', 400));
+  }
+
+  if (!validateDescription(description)) {
+    return next(new AppError('Description must be less than 500 characters', 400));
+  }
+
+  const collection = await Bookmark.createCollection(req.user.id, {
+    name: name.trim(),
+    description: description?.trim() || null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Collection created successfully',
+    data: {
+      collection
+    }
+  });
+});
+
+export const updateCollection = asyncHandler(async (req, res, next) => {
+  const { name, description } = req.body;
+
+  if (name !== undefined && !validateCollectionName(name)) {
+    return next(new AppError('Collection name must be between 1 and 100 characters', 400));
+  }
+
+  if (!validateDescription(description)) {
+    return next(new AppError('Description must be less than 500 characters', 400));
+  }
+
+  const collection = await Bookmark.updateCollection(parseInt(req.params.id) || 0, req.user.id, {
+    name: name?.trim(),
+    description: description === undefined ? undefined : description?.trim() || null
+  });
+
+  res.json({
+    success: true,
+    message: 'Collection updated successfully',
+    data: {
+      collection
+    }
+  });
+});
+
+// Delete a collection; its bookmarks stay in the reading list, unfiled
+export const deleteCollection = asyncHandler(async (req, res, next) => {
+  await Bookmark.deleteCollection(parseInt(req.params.id) || 0, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Collection deleted successfully'
+  });
+});
+
+export default {
+  addBookmark,
+  removeBookmark,
+  getBookmarks,
+  getCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection
+};
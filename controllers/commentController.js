@@ -1,13 +1,82 @@
 import { Comment } from '../models/Comment.js';
 import { Post } from '../models/Post.js';
+import { Moderation, REPORT_REASONS } from '../models/Moderation.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { log } from '../utils/logger.js';
+import { notifyNewComment } from '../utils/notifications.js';
+import { publish } from '../utils/realtime.js';
+import { withAudit } from '../utils/audit.js';
+import { hasPermission } from '../utils/permissions.js';
+import { assertCanComment, requiresPremoderation } from '../utils/commentPolicy.js';
+import { screenComment, getHoneypotField } from '../utils/spam.js';
 
 // Input validation helpers
 const validateComment = (text) => {
   return text && text.trim().length >= 1 && text.trim().length <= 1000;
 };
 
+// Apply the post's comment policy and the spam checks, then store the comment
+// Spam is rejected outright; doubtful comments and pre-moderated posts are held
+const submitComment = async (req, post, { text, parentId = null }) => {
+  await assertCanComment(req.user, post);
+
+  // Moderators' comments skip the spam checks
+  const screening = hasPermission(req.user, 'comment:moderate')
+    ? { outcome: 'publish', score: 0, reasons: [] }
+    : await screenComment({
+      text,
+      userId: req.user.id,
+      postId: post.id,
+      accountCreatedAt: req.user.created_at,
+      honeypot: req.body[getHoneypotField()]
+    });
+
+  if (screening.outcome === 'reject') {
+    await Moderation.logAction({
+      action: 'reject',
+      targetUserId: req.user.id,
+      reason: `Spam score ${screening.score} (${screening.reasons.join(', ')})`,
+      commentText: text
+    });
+    log(`Comment by ${req.user.email} on post ${post.id} rejected as spam (${screening.reasons.join(', ')})`);
+    throw new AppError('Your comment looks like spam and was not posted', 400);
+  }
+
+  const held = screening.outcome === 'hold' || requiresPremoderation(req.user, post);
+
+  const comment = await withAudit(req, async ({ client, record }) => {
+    const comment = await Comment.create({
+      postId: post.id,
+      userId: req.user.id,
+      text,
+      parentId,
+      status: held ? 'held' : 'visible',
+      spamScore: screening.score,
+      spamReasons: screening.reasons
+    }, client);
+
+    await record({ action: 'create', entityType: 'comment', entityId: comment.id });
+
+    if (held) {
+      await Moderation.logAction({
+        action: 'hold',
+        commentId: comment.id,
+        targetUserId: req.user.id,
+        reason: screening.outcome === 'hold'
+          ? `Spam score ${screening.score} (${screening.reasons.join(', ')})`
+          : 'Post is pre-moderated',
+        commentText: text
+      }, client);
+    }
+
+    return comment;
+  });
+
+  return { comment: await Comment.findById(comment.id), held };
+};
+
+const HELD_MESSAGE = 'Your comment is awaiting moderation';
+
 // Create new comment
 export const createComment = asyncHandler(async (req, res, next) => {
   const { postId } = req.params;
@@ -29,36 +98,85 @@ export const createComment = asyncHandler(async (req, res, next) => {
     return next(new AppError('Cannot comment on unpublished post', 403));
   }
 
-  // Create comment
-  const comment = await Comment.create({
-    postId: parseInt(postId),
-    userId: req.user.id,
-    text: commentText.trim()
-  });
+  const { comment: newComment, held } = await submitComment(req, post, { text: commentText.trim() });
 
-  // Get comment with user details
-  const newComment = await Comment.findById(comment.id);
+  // Held comments stay quiet until a moderator approves them
+  if (!held) {
+    notifyNewComment(newComment, post);
+    publish(`post:${post.id}`, 'comment.created', { comment: newComment });
+  }
 
-  log(`New comment created on post ${postId} by ${req.user.email}`);
+  log(`New comment ${held ? 'held for moderation' : 'created'} on post ${postId} by ${req.user.email}`);
 
   res.status(201).json({
     success: true,
-    message: 'Comment created successfully',
+    message: held ? HELD_MESSAGE : 'Comment created successfully',
     data: {
       comment: newComment
     }
   });
 });
 
-// Get comments for a post
+// Reply to a comment
+export const replyToComment = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { content, text } = req.body;
+  const commentText = content || text; // Accept both content and text for compatibility
+
+  // Validate input
+  if (!validateComment(commentText)) {
+    return next(new AppError('Comment must be between 1 and 1000 characters', 400));
+  }
+
+  const parent = await Comment.findById(parseInt(id));
+  if (!parent) {
+    return next(new AppError('Comment not found', 404));
+  }
+
+  if (parent.deleted_at) {
+    return next(new AppError('Cannot reply to a deleted comment', 400));
+  }
+
+  if (parent.status !== 'visible') {
+    return next(new AppError('Cannot reply to this comment', 400));
+  }
+
+  const post = await Post.findById(parent.post_id);
+  if (!post || !post.published) {
+    return next(new AppError('Cannot comment on unpublished post', 403));
+  }
+
+  const { comment: newReply, held } = await submitComment(req, post, { text: commentText.trim(), parentId: parent.id });
+
+  if (!held) {
+    notifyNewComment(newReply, post, parent);
+    publish(`post:${post.id}`, 'comment.created', { comment: newReply });
+  }
+
+  log(`New reply to comment ${id} ${held ? 'held for moderation' : 'created'} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: held ? HELD_MESSAGE : 'Reply created successfully',
+    data: {
+      comment: newReply
+    }
+  });
+});
+
+// Get comment threads for a post
 export const getComments = asyncHandler(async (req, res, next) => {
   const { postId } = req.params;
-  const { page = 1, limit = 20 } = req.query;
+  const { page = 1, limit = 20, depth = 3, replies = 3 } = req.query;
 
   // Validate pagination
   const pageNum = Math.max(1, parseInt(page));
   const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
 
+  // Validate thread shape
+  const depthNum = Math.min(5, Math.max(0, parseInt(depth) || 0));
+  const repliesNum = Math.min(20, Math.max(1, parseInt(replies) || 1));
+
   // Check if post exists
   const post = await Post.findById(parseInt(postId));
   if (!post) {
@@ -66,6 +184,33 @@ export const getComments = asyncHandler(async (req, res, next) => {
   }
 
   const result = await Comment.findByPostId(parseInt(postId), {
+    page: pageNum,
+    limit: limitNum,
+    depth: depthNum,
+    replyLimit: repliesNum
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Get replies to a comment (paginated "load more replies")
+export const getReplies = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+  const comment = await Comment.findById(parseInt(id));
+  if (!comment || comment.status !== 'visible') {
+    return next(new AppError('Comment not found', 404));
+  }
+
+  const result = await Comment.findReplies(comment.id, {
     page: pageNum,
     limit: limitNum
   });
@@ -80,8 +225,9 @@ export const getComments = asyncHandler(async (req, res, next) => {
 export const getComment = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
+  // Held and hidden comments are only shown in the moderation queue
   const comment = await Comment.findById(parseInt(id));
-  if (!comment) {
+  if (!comment || comment.status !== 'visible') {
     return next(new AppError('Comment not found', 404));
   }
 
@@ -93,6 +239,57 @@ export const getComment = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Report a comment to the moderators
+export const reportComment = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason, details } = req.body;
+
+  if (!REPORT_REASONS.includes(reason)) {
+    return next(new AppError(`Invalid reason. Allowed reasons: ${REPORT_REASONS.join(', ')}`, 400));
+  }
+
+  if (details !== undefined && details !== null && (typeof details !== 'string' || details.trim().length > 1000)) {
+    return next(new AppError('Details must be at most 1000 characters', 400));
+  }
+
+  const { report, postId, held } = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('comment', parseInt(id) || 0);
+    const result = await Moderation.report({
+      commentId: parseInt(id) || 0,
+      userId: req.user.id,
+      reason,
+      details: details?.trim() || null
+    }, client);
+
+    // Enough reports hold the comment: a change to it made on this request
+    if (result.held) {
+      await record({ action: 'update', entityType: 'comment', entityId: result.report.comment_id, before });
+    }
+
+    return result;
+  });
+
+  log(`Comment ${id} reported (${reason}) by ${req.user.email}${held ? ', held for review' : ''}`);
+
+  // A held comment leaves the thread until a moderator approves it
+  if (held) {
+    publish(`post:${postId}`, 'comment.hidden', { id: report.comment_id, postId });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment reported. Thank you, a moderator will review it.',
+    data: {
+      report: {
+        id: report.id,
+        comment_id: report.comment_id,
+        reason: report.reason,
+        created_at: report.created_at
+      }
+    }
+  });
+});
+
 // Update comment
 export const updateComment = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
@@ -105,10 +302,19 @@ export const updateComment = asyncHandler(async (req, res, next) => {
   }
 
   // Update comment
-  const comment = await Comment.update(parseInt(id), {
-    text: commentText.trim()
+  const comment = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('comment', parseInt(id));
+    const comment = await Comment.update(parseInt(id), {
+      text: commentText.trim()
+    }, client);
+    await record({ action: 'update', entityType: 'comment', entityId: comment.id, before });
+    return comment;
   });
 
+  if (comment.status === 'visible') {
+    publish(`post:${comment.post_id}`, 'comment.updated', { comment });
+  }
+
   log(`Comment updated: ID ${id} by ${req.user.email}`);
 
   res.json({
@@ -124,13 +330,23 @@ export const updateComment = asyncHandler(async (req, res, next) => {
 export const deleteComment = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  await Comment.delete(parseInt(id));
+  const { placeholder, postId } = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('comment', parseInt(id));
+    const result = await Comment.delete(parseInt(id), client);
+    await record({ action: 'delete', entityType: 'comment', entityId: parseInt(id), before });
+    return result;
+  });
+
+  publish(`post:${postId}`, 'comment.deleted', { id: parseInt(id), postId, placeholder });
 
-  log(`Comment deleted: ID ${id} by ${req.user.email}`);
+  log(`Comment deleted: ID ${id} by ${req.user.email}${placeholder ? ' (kept as placeholder)' : ''}`);
 
   res.json({
     success: true,
-    message: 'Comment deleted successfully'
+    message: 'Comment deleted successfully',
+    data: {
+      placeholder
+    }
   });
 });
 
@@ -181,10 +397,13 @@ export const getRecentComments = asyncHandler(async (req, res, next) => {
 
 export default {
   createComment,
+  replyToComment,
   getComments,
+  getReplies,
   getComment,
   updateComment,
   deleteComment,
   getUserComments,
-  getRecentComments
+  getRecentComments,
+  reportComment
 }; 
\ No newline at end of file
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { Post } from '../models/Post.js';
+import { User } from '../models/User.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { renderRss, renderAtom, renderJsonFeed, textToHtml } from '../utils/feed.js';
+import { htmlToText } from '../utils/markdown.js';
+import { normalizeTags, slugifyTag } from '../utils/tags.js';
+import { getFrontendUrl, getApiUrl, getPostUrl, getAuthorUrl, getTagUrl, toAbsoluteUrl } from '../utils/urls.js';
+
+const FEED_MODES = ['full', 'excerpt'];
+
+// Length of summaries generated from the body when a post has no excerpt
+const SUMMARY_LENGTH = 280;
+
+const FORMATS = {
+  rss: { render: renderRss, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { render: renderAtom, contentType: 'application/atom+xml; charset=utf-8' },
+  json: { render: renderJsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+const summarize = (post) => {
+  if (post.excerpt) return post.excerpt;
+  const text = post.body_html != null ? htmlToText(post.body_html) : post.body.replace(/\s+/g, ' ').trim();
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH).trimEnd()}…` : text;
+};
+
+// Read ?author=, ?tag= and ?mode= into findAll() filters and feed metadata
+const parseFeedOptions = async (req) => {
+  const { author, tag, mode = process.env.FEED_DEFAULT_MODE || 'full' } = req.query;
+  const siteName = process.env.SITE_NAME || 'Blog';
+
+  if (!FEED_MODES.includes(mode)) {
+    throw new AppError(`Feed mode must be one of: ${FEED_MODES.join(', ')}`, 400);
+  }
+
+  const filters = {};
+  let title = siteName;
+  let siteUrl = getFrontendUrl();
+
+  if (author !== undefined) {
+    const user = await User.findById(parseInt(author) || 0);
+    if (!user) {
+      throw new AppError('Author not found', 404);
+    }
+
+    filters.userId = user.id;
+    title = `${title}: posts by ${user.name}`;
+    siteUrl = getAuthorUrl(user.id);
+  }
+
+  if (tag !== undefined) {
+    const tags = normalizeTags(Array.isArray(tag) ? tag : tag.split(','));
+
+    if (tags.length === 0) {
+      throw new AppError('Tag must not be empty', 400);
+    }
+
+    filters.tags = tags;
+    title = `${title}: tagged ${tags.join(', ')}`;
+    if (tags.length === 1 && author === undefined) {
+      siteUrl = getTagUrl(slugifyTag(tags[0]));
+    }
+  }
+
+  return {
+    filters,
+    mode,
+    title,
+    siteUrl,
+    description: process.env.SITE_DESCRIPTION || `Latest posts from ${siteName}`
+  };
+};
+
+const toFeedItem = (post, mode) => ({
+  id: `${getApiUrl()}/api/posts/${post.id}`,
+  url: getPostUrl(post),
+  title: post.title,
+  summary: summarize(post),
+  contentHtml: mode === 'full' ? (post.body_html ?? textToHtml(post.body)) : null,
+  authorName: post.author_name,
+  authorUrl: getAuthorUrl(post.user_id),
+  published: post.published_at || post.created_at,
+  updated: post.updated_at,
+  tags: post.tags || [],
+  image: toAbsoluteUrl(post.image_url)
+});
+
+// Serve a feed, answering 304 when the reader's copy is still current
+const sendFeed = (format) => asyncHandler(async (req, res, next) => {
+  const { render, contentType } = FORMATS[format];
+  const options = await parseFeedOptions(req);
+  const limit = Math.min(100, Math.max(1, parseInt(process.env.FEED_ITEM_LIMIT) || 20));
+
+  // Validators come from a cheap aggregate so unchanged feeds are never rendered
+  const version = await Post.getListVersion(options.filters);
+  const etag = crypto
+    .createHash('sha1')
+    .update(JSON.stringify([format, options.mode, options.title, options.filters, limit, version.total, version.lastModified]))
+    .digest('base64url');
+
+  res.set('ETag', `W/"${etag}"`);
+  res.set('Cache-Control', 'public, max-age=300');
+  if (version.lastModified) {
+    res.set('Last-Modified', new Date(version.lastModified).toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const { posts } = await Post.findAll({
+    page: 1,
+    limit,
+    ...options.filters,
+    orderBy: 'published_at'
+  });
+
+  const body = render({
+    title: options.title,
+    description: options.description,
+    siteUrl: options.siteUrl,
+    feedUrl: `${getApiUrl()}${req.originalUrl}`,
+    updated: version.lastModified || new Date(),
+    items: posts.map(post => toFeedItem(post, options.mode))
+  });
+
+  res.type(contentType).send(body);
+});
+
+export const getRssFeed = sendFeed('rss');
+export const getAtomFeed = sendFeed('atom');
+export const getJsonFeed = sendFeed('json');
+
+export default {
+  getRssFeed,
+  getAtomFeed,
+  getJsonFeed
+};
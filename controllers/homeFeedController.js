@@ -0,0 +1,48 @@
+import { Post } from '../models/Post.js';
+import { Follow } from '../models/Follow.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+
+// Personalized home feed: posts from followed authors and tags, newest first
+// Paginated with an opaque cursor (`?cursor=` from the previous page's `nextCursor`)
+export const getHomeFeed = asyncHandler(async (req, res, next) => {
+  const { limit = 20, cursor, tags } = req.query;
+
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+  const after = decodeCursor(cursor, { at: 'timestamp', id: 'integer' });
+
+  const result = await Post.findFeed(req.user.id, {
+    limit: limitNum,
+    after,
+    includeTags: tags !== 'false'
+  });
+
+  res.json({
+    success: true,
+    data: {
+      posts: result.posts,
+      pagination: {
+        limit: limitNum,
+        nextCursor: result.next ? encodeCursor(result.next) : null,
+        hasMore: Boolean(result.next)
+      }
+    }
+  });
+});
+
+// Tags the current user follows
+export const getFollowedTags = asyncHandler(async (req, res, next) => {
+  const tags = await Follow.getFollowedTags(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      tags
+    }
+  });
+});
+
+export default {
+  getHomeFeed,
+  getFollowedTags
+};
@@ -2,6 +2,9 @@ import { Like } from '../models/Like.js';
 import { Post } from '../models/Post.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { log } from '../utils/logger.js';
+import { notify } from '../utils/notifications.js';
+import { publish } from '../utils/realtime.js';
+import { withAudit } from '../utils/audit.js';
 
 // Toggle like on a post
 export const toggleLike = asyncHandler(async (req, res, next) => {
@@ -19,11 +22,30 @@ export const toggleLike = asyncHandler(async (req, res, next) => {
   }
 
   // Toggle like
-  const result = await Like.toggle(parseInt(postId), userId);
+  const result = await withAudit(req, async ({ client, record }) => {
+    const result = await Like.toggle(parseInt(postId), userId, client);
+
+    // Likes are audited per post: one user's like is created or deleted
+    const like = { post_id: post.id, user_id: userId };
+    await record({
+      action: result.liked ? 'create' : 'delete',
+      entityType: 'like',
+      entityId: post.id,
+      before: result.liked ? null : like,
+      after: result.liked ? like : null
+    });
+
+    return result;
+  });
   
   // Get updated like count
   const likeCount = await Like.getCountByPostId(parseInt(postId));
 
+  if (result.liked) {
+    notify({ userId: post.user_id, type: 'like', actorId: userId, postId: post.id });
+  }
+  publish(`post:${post.id}`, 'likes.updated', { postId: post.id, likeCount });
+
   log(`Post ${result.action}: Post ${postId} by user ${userId}`);
 
   res.json({
@@ -0,0 +1,192 @@
+import { Comment } from '../models/Comment.js';
+import { Post } from '../models/Post.js';
+import { Moderation, QUEUE_STATUSES, MODERATION_ACTIONS } from '../models/Moderation.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { log } from '../utils/logger.js';
+import { publish } from '../utils/realtime.js';
+import { notifyNewComment } from '../utils/notifications.js';
+import { withAudit } from '../utils/audit.js';
+
+// Reasons are optional when approving, required for everything else
+const validateReason = (reason, required) => {
+  if (reason === undefined || reason === null || reason === '') {
+    return !required;
+  }
+  return typeof reason === 'string' && reason.trim().length >= 1 && reason.trim().length <= 1000;
+};
+
+const ACTION_MESSAGES = {
+  approve: 'Comment approved successfully',
+  hide: 'Comment hidden successfully',
+  delete: 'Comment deleted successfully',
+  ban: 'Comment hidden and author banned successfully'
+};
+
+const parsePagination = (query) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit) || 20))
+});
+
+// Reported and held comments (`?status=open|reported|held|hidden`), most reported first
+export const getQueue = asyncHandler(async (req, res, next) => {
+  const { status = 'open' } = req.query;
+
+  if (!QUEUE_STATUSES.includes(status)) {
+    return next(new AppError(`Invalid status. Allowed statuses: ${QUEUE_STATUSES.join(', ')}`, 400));
+  }
+
+  const result = await Moderation.findQueue({ ...parsePagination(req.query), status });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// A comment with its reports and moderation history
+export const getModerationComment = asyncHandler(async (req, res, next) => {
+  const comment = await Comment.findById(parseInt(req.params.id) || 0, { moderation: true });
+  if (!comment) {
+    return next(new AppError('Comment not found', 404));
+  }
+
+  const [reports, history] = await Promise.all([
+    Moderation.findReports(comment.id),
+    Moderation.findActions({ commentId: comment.id, limit: 100 })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      comment,
+      reports,
+      actions: history.actions
+    }
+  });
+});
+
+// Approve, hide, delete or ban: one handler per action
+const moderateComment = (action) => asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+
+  if (!validateReason(reason, action !== 'approve')) {
+    return next(new AppError('A reason (up to 1000 characters) is required', 400));
+  }
+
+  const result = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('comment', parseInt(id) || 0);
+    const authorBefore = action === 'ban' && before ? await snapshot('user', before.user_id) : null;
+
+    const result = await Moderation.moderateComment(parseInt(id) || 0, {
+      action,
+      moderator: req.user,
+      reason: reason?.trim() || null
+    }, client);
+
+    await record({ action: action === 'delete' ? 'delete' : 'update', entityType: 'comment', entityId: parseInt(id), before });
+    if (authorBefore) {
+      await record({ action: 'update', entityType: 'user', entityId: authorBefore.id, before: authorBefore });
+    }
+
+    return result;
+  });
+
+  // Keep live threads in step: approved comments appear, removed ones disappear
+  const channel = `post:${result.postId}`;
+  if (action === 'delete') {
+    publish(channel, 'comment.deleted', { id: parseInt(id), postId: result.postId, placeholder: result.placeholder });
+  } else if (result.status === 'visible' && result.previousStatus !== 'visible') {
+    const comment = await Comment.findById(parseInt(id));
+    publish(channel, 'comment.created', { comment });
+
+    // A comment held on arrival was never announced: send the notifications it would have had
+    if (result.firstShown) {
+      const post = await Post.findById(result.postId);
+      const parent = comment.parent_id ? await Comment.findById(comment.parent_id) : null;
+      if (post) notifyNewComment(comment, post, parent);
+    }
+  } else if (result.status !== 'visible' && result.previousStatus === 'visible') {
+    publish(channel, 'comment.hidden', { id: parseInt(id), postId: result.postId });
+  }
+
+  log(`Comment ${id} moderated (${action}) by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: ACTION_MESSAGES[action],
+    data: {
+      action: result.action,
+      status: result.status,
+      placeholder: result.placeholder
+    }
+  });
+});
+
+export const approveComment = moderateComment('approve');
+export const hideComment = moderateComment('hide');
+export const deleteComment = moderateComment('delete');
+export const banCommenter = moderateComment('ban');
+
+// Lift a user's commenting ban
+export const unbanUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body || {};
+
+  if (!validateReason(reason, false)) {
+    return next(new AppError('Reason must be at most 1000 characters', 400));
+  }
+
+  const { user, action } = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('user', parseInt(req.params.id) || 0);
+    const result = await Moderation.unbanUser(parseInt(req.params.id) || 0, {
+      moderator: req.user,
+      reason: reason?.trim() || null
+    }, client);
+    await record({ action: 'update', entityType: 'user', entityId: result.user.id, before });
+    return result;
+  });
+
+  log(`User ${user.id} unbanned by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'User unbanned successfully',
+    data: {
+      user,
+      action
+    }
+  });
+});
+
+// The moderation log (`?commentId=`, `?moderatorId=`, `?userId=`, `?action=`)
+export const getActions = asyncHandler(async (req, res, next) => {
+  const { commentId, moderatorId, userId, action } = req.query;
+
+  if (action !== undefined && !MODERATION_ACTIONS.includes(action)) {
+    return next(new AppError(`Invalid action. Allowed actions: ${MODERATION_ACTIONS.join(', ')}`, 400));
+  }
+
+  const result = await Moderation.findActions({
+    ...parsePagination(req.query),
+    commentId: commentId !== undefined ? parseInt(commentId) || 0 : null,
+    moderatorId: moderatorId !== undefined ? parseInt(moderatorId) || 0 : null,
+    userId: userId !== undefined ? parseInt(userId) || 0 : null,
+    action: action || null
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+export default {
+  getQueue,
+  getModerationComment,
+  approveComment,
+  hideComment,
+  deleteComment,
+  banCommenter,
+  unbanUser,
+  getActions
+};
@@ -0,0 +1,130 @@
+import { Notification, NOTIFICATION_TYPES } from '../models/Notification.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { publish, streamEvents } from '../utils/realtime.js';
+
+// List the current user's notifications, grouped (`?unread=true` for unread ones only)
+export const getNotifications = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, unread } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+  const [result, unreadCount] = await Promise.all([
+    Notification.findByUser(req.user.id, {
+      page: pageNum,
+      limit: limitNum,
+      unreadOnly: unread === 'true'
+    }),
+    Notification.getUnreadCount(req.user.id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...result,
+      unreadCount
+    }
+  });
+});
+
+// Number of unread notification groups (for polling a badge)
+export const getUnreadCount = asyncHandler(async (req, res, next) => {
+  const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      unreadCount
+    }
+  });
+});
+
+// Mark a notification, and the rest of its group, as read
+export const markRead = asyncHandler(async (req, res, next) => {
+  const updated = await Notification.markGroupRead(parseInt(req.params.id) || 0, req.user.id);
+  const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+  publish(`user:${req.user.id}`, 'notifications.read', { unreadCount });
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read',
+    data: {
+      updated,
+      unreadCount
+    }
+  });
+});
+
+export const markAllRead = asyncHandler(async (req, res, next) => {
+  const updated = await Notification.markAllRead(req.user.id);
+
+  publish(`user:${req.user.id}`, 'notifications.read', { unreadCount: 0 });
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: {
+      updated,
+      unreadCount: 0
+    }
+  });
+});
+
+// Live stream of the current user's notifications (Server-Sent Events)
+// Sends `notification` when one arrives and `notifications.read` when the unread count drops
+export const streamNotifications = asyncHandler(async (req, res, next) => {
+  await streamEvents(req, res, `user:${req.user.id}`);
+});
+
+// Which notification types are on
+export const getPreferences = asyncHandler(async (req, res, next) => {
+  const preferences = await Notification.getPreferences(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      preferences
+    }
+  });
+});
+
+// Mute or unmute notification types, e.g. { "like": false }
+export const updatePreferences = asyncHandler(async (req, res, next) => {
+  const changes = req.body || {};
+  const entries = Object.entries(changes);
+
+  if (entries.length === 0) {
+    return next(new AppError(`Provide one or more of: ${NOTIFICATION_TYPES.join(', ')}`, 400));
+  }
+
+  for (const [type, enabled] of entries) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      return next(new AppError(`Unknown notification type "${type}". Allowed types: ${NOTIFICATION_TYPES.join(', ')}`, 400));
+    }
+    if (typeof enabled !== 'boolean') {
+      return next(new AppError(`Preference for "${type}" must be true or false`, 400));
+    }
+  }
+
+  const preferences = await Notification.updatePreferences(req.user.id, changes);
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    data: {
+      preferences
+    }
+  });
+});
+
+export default {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  streamNotifications,
+  getPreferences,
+  updatePreferences
+};
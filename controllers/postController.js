@@ -1,6 +1,20 @@
 import { Post } from '../models/Post.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { log } from '../utils/logger.js';
+import { streamEvents } from '../utils/realtime.js';
+import { withAudit } from '../utils/audit.js';
+import { hasPermission } from '../utils/permissions.js';
+import { BODY_FORMATS, isValidBodyFormat } from '../utils/markdown.js';
+import { READING_TIME_RANGES } from '../utils/readingTime.js';
+import { COMMENT_POLICIES, isValidCommentPolicy } from '../utils/commentPolicy.js';
+import { MAX_TAGS_PER_POST, MAX_TAG_LENGTH, normalizeTagName, normalizeTags, slugifyTag } from '../utils/tags.js';
+import {
+  POST_STATUSES,
+  isValidStatus,
+  canPublishDirectly,
+  assertTransition,
+  getAvailableTransitions
+} from '../utils/workflow.js';
 
 // Input validation helpers
 const validateTitle = (title) => {
@@ -11,16 +25,81 @@ const validateBody = (body) => {
   return body && body.trim().length >= 10;
 };
 
+// Returns the tags with case and whitespace normalized and duplicates removed, or null if invalid
 const validateTags = (tags) => {
-  if (!tags) return true;
-  return Array.isArray(tags) && tags.length <= 10 && tags.every(tag => 
-    typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= 50
+  if (!tags) return [];
+  const valid = Array.isArray(tags) && tags.every(tag =>
+    typeof tag === 'string' && slugifyTag(tag) && normalizeTagName(tag).length <= MAX_TAG_LENGTH
   );
+  if (!valid) return null;
+
+  const normalized = normalizeTags(tags);
+  return normalized.length <= MAX_TAGS_PER_POST ? normalized : null;
+};
+
+// Workflow status for a publish/unpublish request via the legacy `published` flag
+// Authors who may not publish directly have their draft submitted for review instead
+const statusForPublishFlag = (user, post, published) => {
+  if (!published) {
+    return 'draft';
+  }
+  if (canPublishDirectly(user, post) || (post.status && post.status !== 'draft')) {
+    return 'published';
+  }
+  return 'submitted';
+};
+
+// Workflow fields only the author and editors see
+const REVIEW_FIELDS = [
+  'review_notes', 'submitted_at', 'review_started_at', 'approved_at',
+  'publish_at', 'unpublish_at', 'schedule_error', 'schedule_failed_at'
+];
+
+// The author and reviewers see a post before it is published, with its workflow fields
+const canSeeWorkflow = (user, post) => {
+  return Boolean(user) && (post.user_id === user.id || hasPermission(user, 'post:review'));
+};
+
+const withoutReviewFields = (post) => {
+  return Object.fromEntries(Object.entries(post).filter(([field]) => !REVIEW_FIELDS.includes(field)));
+};
+
+// Parse an optional schedule time: undefined = leave as is, null/'' = clear
+const parseScheduleDate = (value, field) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`${field} must be a valid date`, 400);
+  }
+  return date;
+};
+
+// Validate a schedule against the post's current one
+const validateSchedule = (post, publishAt, unpublishAt) => {
+  const now = new Date();
+  const nextPublishAt = publishAt !== undefined ? publishAt : post.publish_at;
+  const nextUnpublishAt = unpublishAt !== undefined ? unpublishAt : post.unpublish_at;
+
+  if (publishAt && publishAt <= now) {
+    throw new AppError('publishAt must be in the future', 400);
+  }
+
+  if (unpublishAt && unpublishAt <= now) {
+    throw new AppError('unpublishAt must be in the future', 400);
+  }
+
+  if (nextPublishAt && nextUnpublishAt && new Date(nextUnpublishAt) <= new Date(nextPublishAt)) {
+    throw new AppError('unpublishAt must be after publishAt', 400);
+  }
 };
 
 // Create new post
 export const createPost = asyncHandler(async (req, res, next) => {
-  const { title, excerpt, body, imageUrl, tags, published = false } = req.body;
+  const { title, excerpt, body, bodyFormat = 'markdown', imageUrl, tags, published = false, status, commentPolicy = 'open' } = req.body;
+  const publishAt = parseScheduleDate(req.body.publishAt, 'publishAt');
+  const unpublishAt = parseScheduleDate(req.body.unpublishAt, 'unpublishAt');
 
   // Validate input
   if (!validateTitle(title)) {
@@ -31,7 +110,12 @@ export const createPost = asyncHandler(async (req, res, next) => {
     return next(new AppError('Body must be at least 10 characters long', 400));
   }
 
-  if (!validateTags(tags)) {
+  if (!isValidBodyFormat(bodyFormat)) {
+    return next(new AppError(`Body format must be one of: ${BODY_FORMATS.join(', ')}`, 400));
+  }
+
+  const tagNames = validateTags(tags);
+  if (!tagNames) {
     return next(new AppError('Invalid tags format. Maximum 10 tags, each up to 50 characters', 400));
   }
 
@@ -39,21 +123,61 @@ export const createPost = asyncHandler(async (req, res, next) => {
     return next(new AppError('Excerpt must be less than 500 characters', 400));
   }
 
+  if (!isValidCommentPolicy(commentPolicy)) {
+    return next(new AppError(`Comment policy must be one of: ${COMMENT_POLICIES.join(', ')}`, 400));
+  }
+
+  // New posts start as a draft, are submitted for review, or are published
+  const initialStatus = status !== undefined
+    ? status
+    : statusForPublishFlag(req.user, { user_id: req.user.id }, Boolean(published));
+
+  if (!['draft', 'submitted', 'published'].includes(initialStatus)) {
+    return next(new AppError('New posts must be draft, submitted or published', 400));
+  }
+
+  if (initialStatus === 'published' && !canPublishDirectly(req.user, { user_id: req.user.id })) {
+    return next(new AppError('Only editors can approve and publish posts', 403));
+  }
+
+  // Scheduling a publish time is publishing in advance
+  if (publishAt) {
+    if (initialStatus === 'published') {
+      return next(new AppError('A scheduled post cannot be published immediately', 400));
+    }
+    if (!canPublishDirectly(req.user, { user_id: req.user.id })) {
+      return next(new AppError('Only editors can approve and publish posts', 403));
+    }
+  }
+
+  validateSchedule({}, publishAt, unpublishAt);
+
   // Generate unique slug
   const slug = await Post.generateUniqueSlug(title.trim());
 
   // Create post
-  const post = await Post.create({
-    userId: req.user.id,
-    title: title.trim(),
-    excerpt: excerpt?.trim(),
-    body: body.trim(),
-    imageUrl,
-    tags: tags || [],
-    published: Boolean(published)
+  const post = await withAudit(req, async ({ client, record }) => {
+    let post = await Post.create({
+      userId: req.user.id,
+      title: title.trim(),
+      excerpt: excerpt?.trim(),
+      body: body.trim(),
+      bodyFormat,
+      imageUrl,
+      tags: tagNames,
+      status: initialStatus,
+      commentPolicy
+    }, client);
+
+    if (publishAt || unpublishAt) {
+      post = await Post.schedule(post.id, { publishAt, unpublishAt }, client);
+    }
+
+    await record({ action: 'create', entityType: 'post', entityId: post.id });
+    return post;
   });
 
-  log(`New post created: ${post.title} by ${req.user.email}`);
+  log(`New post created (${post.status}): ${post.title} by ${req.user.email}`);
 
   res.status(201).json({
     success: true,
@@ -71,7 +195,10 @@ export const getPosts = asyncHandler(async (req, res, next) => {
     limit = 10,
     tags,
     author,
-    search
+    search,
+    length,
+    minReadingTime,
+    maxReadingTime
   } = req.query;
 
   // Validate pagination
@@ -81,21 +208,43 @@ export const getPosts = asyncHandler(async (req, res, next) => {
   let result;
 
   if (search) {
-    // Search posts
-    result = await Post.search(search, { page: pageNum, limit: limitNum });
+    if (search.length > 200) {
+      return next(new AppError('Search query must be less than 200 characters', 400));
+    }
+
+    // Full-text search, ordered by relevance
+    result = await Post.search(search.trim(), { page: pageNum, limit: limitNum });
   } else {
     // Get posts with filters
     const filters = {};
     
     if (tags) {
-      const tagsArray = Array.isArray(tags) ? tags : tags.split(',');
-      filters.tags = tagsArray.map(tag => tag.trim()).filter(Boolean);
+      filters.tags = normalizeTags(Array.isArray(tags) ? tags : tags.split(','));
     }
 
     if (author) {
       filters.userId = parseInt(author);
     }
 
+    // Reading time: a named range (?length=short) or explicit minutes
+    if (length !== undefined) {
+      const range = READING_TIME_RANGES[length];
+      if (!range) {
+        return next(new AppError(`Length must be one of: ${Object.keys(READING_TIME_RANGES).join(', ')}`, 400));
+      }
+      filters.minReadingTime = range.min ?? null;
+      filters.maxReadingTime = range.max ?? null;
+    }
+
+    for (const [key, value] of [['minReadingTime', minReadingTime], ['maxReadingTime', maxReadingTime]]) {
+      if (value === undefined) continue;
+      const minutes = Number(value);
+      if (!Number.isInteger(minutes) || minutes < 0) {
+        return next(new AppError(`${key} must be a non-negative whole number of minutes`, 400));
+      }
+      filters[key] = minutes;
+    }
+
     result = await Post.findAll({ 
       page: pageNum, 
       limit: limitNum,
@@ -123,7 +272,9 @@ export const getPost = asyncHandler(async (req, res, next) => {
     post = await Post.findBySlug(identifier, userId);
   }
 
-  if (!post) {
+  // Unpublished posts don't exist for anyone else
+  const showWorkflow = Boolean(post) && canSeeWorkflow(req.user, post);
+  if (!post || (!post.published && !showWorkflow)) {
     return next(new AppError('Post not found', 404));
   }
 
@@ -133,7 +284,7 @@ export const getPost = asyncHandler(async (req, res, next) => {
   res.json({
     success: true,
     data: {
-      post
+      post: showWorkflow ? post : withoutReviewFields(post)
     }
   });
 });
@@ -141,7 +292,7 @@ export const getPost = asyncHandler(async (req, res, next) => {
 // Update post
 export const updatePost = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { title, excerpt, body, imageUrl, tags, published } = req.body;
+  const { title, excerpt, body, bodyFormat, imageUrl, tags, published, commentPolicy } = req.body;
 
   // Validate input if provided
   if (title !== undefined && !validateTitle(title)) {
@@ -152,7 +303,12 @@ export const updatePost = asyncHandler(async (req, res, next) => {
     return next(new AppError('Body must be at least 10 characters long', 400));
   }
 
-  if (tags !== undefined && !validateTags(tags)) {
+  if (bodyFormat !== undefined && !isValidBodyFormat(bodyFormat)) {
+    return next(new AppError(`Body format must be one of: ${BODY_FORMATS.join(', ')}`, 400));
+  }
+
+  const tagNames = tags !== undefined ? validateTags(tags) : undefined;
+  if (tagNames === null) {
     return next(new AppError('Invalid tags format. Maximum 10 tags, each up to 50 characters', 400));
   }
 
@@ -160,16 +316,55 @@ export const updatePost = asyncHandler(async (req, res, next) => {
     return next(new AppError('Excerpt must be less than 500 characters', 400));
   }
 
+  if (commentPolicy !== undefined && !isValidCommentPolicy(commentPolicy)) {
+    return next(new AppError(`Comment policy must be one of: ${COMMENT_POLICIES.join(', ')}`, 400));
+  }
+
+  const currentPost = await Post.findById(parseInt(id));
+  if (!currentPost) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  // Changing `published` is a workflow transition; validate it before editing
+  let nextStatus = null;
+  if (published !== undefined && Boolean(published) !== currentPost.published) {
+    nextStatus = statusForPublishFlag(req.user, currentPost, Boolean(published));
+    assertTransition(req.user, currentPost, nextStatus);
+  }
+
   // Update post
   const updateData = {};
   if (title !== undefined) updateData.title = title.trim();
   if (excerpt !== undefined) updateData.excerpt = excerpt?.trim();
   if (body !== undefined) updateData.body = body.trim();
+  if (bodyFormat !== undefined) updateData.bodyFormat = bodyFormat;
   if (imageUrl !== undefined) updateData.imageUrl = imageUrl;
-  if (tags !== undefined) updateData.tags = tags;
-  if (published !== undefined) updateData.published = Boolean(published);
+  if (tagNames !== undefined) updateData.tags = tagNames;
+  if (commentPolicy !== undefined) updateData.commentPolicy = commentPolicy;
 
-  const post = await Post.update(parseInt(id), updateData);
+  if (Object.keys(updateData).length === 0 && !nextStatus) {
+    return next(new AppError('No fields to update', 400));
+  }
+
+  // The edit and the status change are one change: both apply or neither does
+  const post = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('post', currentPost.id);
+    let post = currentPost;
+    if (Object.keys(updateData).length > 0) {
+      post = await Post.update(parseInt(id), updateData, { userId: req.user.id }, client);
+    }
+
+    if (nextStatus) {
+      post = await Post.transition(post.id, {
+        from: currentPost.status,
+        to: nextStatus,
+        userId: req.user.id
+      }, client);
+    }
+
+    await record({ action: 'update', entityType: 'post', entityId: post.id, before });
+    return post;
+  });
 
   log(`Post updated: ${post.title} by ${req.user.email}`);
 
@@ -186,7 +381,11 @@ export const updatePost = asyncHandler(async (req, res, next) => {
 export const deletePost = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
-  await Post.delete(parseInt(id));
+  await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('post', parseInt(id));
+    await Post.delete(parseInt(id), client);
+    await record({ action: 'delete', entityType: 'post', entityId: parseInt(id), before });
+  });
 
   log(`Post deleted: ID ${id} by ${req.user.email}`);
 
@@ -252,20 +451,218 @@ export const togglePublish = asyncHandler(async (req, res, next) => {
   }
 
   // Check ownership (should be handled by middleware, but double-check)
-  if (currentPost.user_id !== req.user.id) {
+  if (currentPost.user_id !== req.user.id && !hasPermission(req.user, 'post:publish:any')) {
     return next(new AppError('Access denied', 403));
   }
 
-  // Toggle published status
-  const post = await Post.update(parseInt(id), {
-    published: !currentPost.published
+  // Toggle published status through the workflow
+  // (authors who need review get their post submitted instead)
+  const nextStatus = statusForPublishFlag(req.user, currentPost, !currentPost.published);
+  assertTransition(req.user, currentPost, nextStatus);
+
+  const post = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('post', currentPost.id);
+    const post = await Post.transition(currentPost.id, {
+      from: currentPost.status,
+      to: nextStatus,
+      userId: req.user.id
+    }, client);
+    await record({ action: 'update', entityType: 'post', entityId: post.id, before });
+    return post;
   });
 
-  log(`Post ${post.published ? 'published' : 'unpublished'}: ${post.title} by ${req.user.email}`);
+  const action = {
+    published: 'published',
+    submitted: 'submitted for review',
+    draft: 'unpublished'
+  }[post.status];
+
+  log(`Post ${action}: ${post.title} by ${req.user.email}`);
 
   res.json({
     success: true,
-    message: `Post ${post.published ? 'published' : 'unpublished'} successfully`,
+    message: `Post ${action} successfully`,
+    data: {
+      post
+    }
+  });
+});
+
+// Move a post through the editorial workflow
+export const updatePostStatus = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { status, notes } = req.body;
+
+  const currentPost = await Post.findById(parseInt(id));
+  if (!currentPost) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 2000)) {
+    return next(new AppError('Notes must be a string of at most 2000 characters', 400));
+  }
+
+  assertTransition(req.user, currentPost, status, notes);
+
+  const post = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('post', currentPost.id);
+    const post = await Post.transition(currentPost.id, {
+      from: currentPost.status,
+      to: status,
+      userId: req.user.id,
+      notes: notes?.trim() || null
+    }, client);
+    await record({ action: 'update', entityType: 'post', entityId: post.id, before });
+    return post;
+  });
+
+  log(`Post ${post.id} moved from ${currentPost.status} to ${status} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Post moved to ${status}`,
+    data: {
+      post,
+      availableTransitions: getAvailableTransitions(req.user, post)
+    }
+  });
+});
+
+// Get the workflow history of a post
+export const getPostStatusHistory = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  const post = await Post.findById(parseInt(id));
+  if (!post) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  const history = await Post.findStatusHistory(post.id);
+
+  res.json({
+    success: true,
+    data: {
+      status: post.status,
+      review_notes: post.review_notes,
+      availableTransitions: getAvailableTransitions(req.user, post),
+      history
+    }
+  });
+});
+
+// Get the editorial queue (posts awaiting review or publication)
+export const getEditorialQueue = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, status = 'submitted,in_review,approved' } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+  const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+  if (statuses.length === 0 || !statuses.every(isValidStatus)) {
+    return next(new AppError(`Invalid status. Allowed statuses: ${POST_STATUSES.join(', ')}`, 400));
+  }
+
+  const result = await Post.findByStatus(statuses, {
+    page: pageNum,
+    limit: limitNum
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Get scheduled posts (own posts; editors see everyone's unless ?mine=true)
+export const getScheduledPosts = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, mine } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+  const seeAll = hasPermission(req.user, 'post:read:any') && mine !== 'true';
+
+  const result = await Post.findScheduled({
+    userId: seeAll ? null : req.user.id,
+    page: pageNum,
+    limit: limitNum
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Schedule or reschedule a post's publish/unpublish time
+export const schedulePost = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const publishAt = parseScheduleDate(req.body.publishAt, 'publishAt');
+  const unpublishAt = parseScheduleDate(req.body.unpublishAt, 'unpublishAt');
+
+  if (publishAt === undefined && unpublishAt === undefined) {
+    return next(new AppError('Provide publishAt and/or unpublishAt', 400));
+  }
+
+  const currentPost = await Post.findById(parseInt(id));
+  if (!currentPost) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  if (publishAt) {
+    if (currentPost.published) {
+      return next(new AppError('Post is already published', 400));
+    }
+    // Only someone allowed to publish the post now may publish it later
+    assertTransition(req.user, currentPost, 'published');
+  }
+
+  validateSchedule(currentPost, publishAt, unpublishAt);
+
+  const post = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('post', currentPost.id);
+    const post = await Post.schedule(currentPost.id, { publishAt, unpublishAt }, client);
+    await record({ action: 'update', entityType: 'post', entityId: post.id, before });
+    return post;
+  });
+
+  log(`Post ${post.id} scheduled (publish: ${post.publish_at || '-'}, unpublish: ${post.unpublish_at || '-'}) by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Post scheduled successfully',
+    data: {
+      post
+    }
+  });
+});
+
+// Cancel a post's schedule (?type=publish|unpublish, both by default)
+export const cancelSchedule = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { type } = req.query;
+
+  if (type !== undefined && !['publish', 'unpublish'].includes(type)) {
+    return next(new AppError('Type must be publish or unpublish', 400));
+  }
+
+  const post = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('post', parseInt(id));
+    const post = await Post.schedule(parseInt(id), {
+      publishAt: type === 'unpublish' ? undefined : null,
+      unpublishAt: type === 'publish' ? undefined : null
+    }, client);
+    await record({ action: 'update', entityType: 'post', entityId: post.id, before });
+    return post;
+  });
+
+  log(`Post ${post.id} schedule cancelled (${type || 'all'}) by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Schedule cancelled successfully',
     data: {
       post
     }
@@ -282,7 +679,7 @@ export const getPostStats = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user owns the post
-  if (post.user_id !== req.user.id) {
+  if (post.user_id !== req.user.id && !hasPermission(req.user, 'post:read:any')) {
     return next(new AppError('Access denied', 403));
   }
 
@@ -294,6 +691,10 @@ export const getPostStats = asyncHandler(async (req, res, next) => {
         likes: parseInt(post.likes_count),
         comments: parseInt(post.comments_count),
         published: post.published,
+        status: post.status,
+        published_at: post.published_at,
+        publish_at: post.publish_at,
+        unpublish_at: post.unpublish_at,
         created_at: post.created_at,
         updated_at: post.updated_at
       }
@@ -301,6 +702,17 @@ export const getPostStats = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Live activity on a published post (Server-Sent Events): comment.created,
+// comment.updated, comment.deleted and likes.updated
+export const getPostEvents = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(parseInt(req.params.id) || 0);
+  if (!post || !post.published) {
+    return next(new AppError('Post not found', 404));
+  }
+
+  await streamEvents(req, res, `post:${post.id}`);
+});
+
 export default {
   createPost,
   getPosts,
@@ -310,5 +722,12 @@ export default {
   getUserPosts,
   getTrendingPosts,
   togglePublish,
-  getPostStats
+  updatePostStatus,
+  getPostStatusHistory,
+  getEditorialQueue,
+  getScheduledPosts,
+  schedulePost,
+  cancelSchedule,
+  getPostStats,
+  getPostEvents
 }; 
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { Post } from '../models/Post.js';
+import { PostRevision, REVISION_FIELDS } from '../models/PostRevision.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { diffFields } from '../utils/diff.js';
+import { log } from '../utils/logger.js';
+import { withAudit } from '../utils/audit.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// Load a post whose revisions the current user may see
+// Revisions of unpublished posts are only visible to the owner and editors
+const findVisiblePost = async (req) => {
+  const post = await Post.findById(parseInt(req.params.id));
+  const canSeeDraft = post?.user_id === req.user?.id || hasPermission(req.user, 'post:read:any');
+
+  if (!post || (!post.published && !canSeeDraft)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  return post;
+};
+
+const parseRevisionNumber = (value) => {
+  const revisionNumber = parseInt(value);
+  if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+    throw new AppError('Invalid revision number', 400);
+  }
+  return revisionNumber;
+};
+
+// List revisions of a post
+export const getRevisions = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+  const post = await findVisiblePost(req);
+
+  const result = await PostRevision.findByPostId(post.id, {
+    page: pageNum,
+    limit: limitNum
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Get a single revision with its full content
+export const getRevision = asyncHandler(async (req, res, next) => {
+  const post = await findVisiblePost(req);
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+
+  const revision = await PostRevision.findByNumber(post.id, revisionNumber);
+  if (!revision) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      revision
+    }
+  });
+});
+
+// Field-level diff between two revisions (defaults: previous -> latest)
+export const getRevisionDiff = asyncHandler(async (req, res, next) => {
+  const post = await findVisiblePost(req);
+
+  const latest = await PostRevision.findLatest(post.id);
+  if (!latest) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  const toNumber = req.query.to !== undefined
+    ? parseRevisionNumber(req.query.to)
+    : latest.revision_number;
+  const fromNumber = req.query.from !== undefined
+    ? parseRevisionNumber(req.query.from)
+    : Math.max(1, toNumber - 1);
+
+  const [from, to] = await Promise.all([
+    PostRevision.findByNumber(post.id, fromNumber),
+    PostRevision.findByNumber(post.id, toNumber)
+  ]);
+
+  if (!from || !to) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  const changes = diffFields(from, to, REVISION_FIELDS, { textFields: ['excerpt', 'body'] });
+
+  res.json({
+    success: true,
+    data: {
+      from: {
+        revision_number: from.revision_number,
+        user_name: from.user_name,
+        created_at: from.created_at
+      },
+      to: {
+        revision_number: to.revision_number,
+        user_name: to.user_name,
+        created_at: to.created_at
+      },
+      changed: REVISION_FIELDS.filter(field => changes[field].changed),
+      changes
+    }
+  });
+});
+
+// Restore an old revision (recorded as a new revision)
+export const restoreRevision = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+
+  const post = await withAudit(req, async ({ client, snapshot, record }) => {
+    const before = await snapshot('post', parseInt(id));
+    const post = await Post.restoreRevision(parseInt(id), revisionNumber, req.user.id, client);
+    await record({ action: 'update', entityType: 'post', entityId: post.id, before });
+    return post;
+  });
+
+  log(`Post ${id} restored to revision ${revisionNumber} by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: `Post restored to revision ${revisionNumber}`,
+    data: {
+      post
+    }
+  });
+});
+
+export default {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision
+};
@@ -0,0 +1,161 @@
+import { Post } from '../models/Post.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { createCache } from '../utils/cache.js';
+import { MAX_SITEMAP_URLS, renderSitemapIndex, renderUrlset, renderNewsSitemap } from '../utils/sitemap.js';
+import { getApiUrl, getPostUrl, getAuthorUrl, getTagUrl } from '../utils/urls.js';
+
+// Generated XML is cached and dropped whenever a published post changes (tag 'posts')
+const sitemapCache = createCache({
+  ttlMs: (parseInt(process.env.SITEMAP_CACHE_TTL_SECONDS) || 3600) * 1000,
+  maxEntries: 200
+});
+
+// The news sitemap's 48-hour window moves on its own, so it is rebuilt more often
+const NEWS_CACHE_TTL_MS = 10 * 60 * 1000;
+const NEWS_WINDOW_HOURS = 48;
+// Google News reads at most 1,000 articles per sitemap
+const NEWS_MAX_ARTICLES = 1000;
+
+const CACHE_OPTIONS = { tags: ['posts'] };
+
+// URLs per sitemap file (SITEMAP_CHUNK_SIZE can only lower the protocol limit)
+const getChunkSize = () => Math.min(MAX_SITEMAP_URLS, parseInt(process.env.SITEMAP_CHUNK_SIZE) || MAX_SITEMAP_URLS);
+
+const sitemapUrl = (name) => `${getApiUrl()}/sitemaps/${name}`;
+
+// Sitemap files are numbered from 1
+const parsePage = (value) => {
+  const page = parseInt(value);
+  if (!Number.isInteger(page) || page < 1 || String(page) !== value) {
+    throw new AppError('Sitemap not found', 404);
+  }
+  return page;
+};
+
+const sendXml = (res, xml) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type('application/xml; charset=utf-8').send(xml);
+};
+
+// Sitemap index listing every chunk of posts, authors and tags plus the news sitemap
+export const getSitemapIndex = asyncHandler(async (req, res, next) => {
+  const chunkSize = getChunkSize();
+
+  const xml = await sitemapCache.wrap(`index:${chunkSize}`, async () => {
+    const [postChunks, counts] = await Promise.all([
+      Post.findSitemapChunks(chunkSize),
+      Post.countSitemapEntries()
+    ]);
+
+    const sitemaps = postChunks.map(({ chunk, lastmod }) => ({
+      loc: sitemapUrl(`posts-${chunk + 1}.xml`),
+      lastmod
+    }));
+
+    for (const section of ['authors', 'tags']) {
+      const files = Math.ceil(counts[section] / chunkSize);
+      for (let page = 1; page <= files; page++) {
+        sitemaps.push({ loc: sitemapUrl(`${section}-${page}.xml`), lastmod: counts.lastmod });
+      }
+    }
+
+    sitemaps.push({ loc: sitemapUrl('news.xml') });
+
+    return renderSitemapIndex(sitemaps);
+  }, CACHE_OPTIONS);
+
+  sendXml(res, xml);
+});
+
+// One chunk of published posts
+export const getPostsSitemap = asyncHandler(async (req, res, next) => {
+  const page = parsePage(req.params.page);
+  const chunkSize = getChunkSize();
+
+  const xml = await sitemapCache.wrap(`posts:${chunkSize}:${page}`, async () => {
+    const posts = await Post.findForSitemap({ offset: (page - 1) * chunkSize, limit: chunkSize });
+    if (posts.length === 0 && page > 1) return null;
+
+    return renderUrlset(posts.map(post => ({
+      loc: getPostUrl(post),
+      lastmod: post.updated_at
+    })));
+  }, CACHE_OPTIONS);
+
+  if (!xml) {
+    return next(new AppError('Sitemap not found', 404));
+  }
+
+  sendXml(res, xml);
+});
+
+// One chunk of author pages (authors with published posts)
+export const getAuthorsSitemap = asyncHandler(async (req, res, next) => {
+  const page = parsePage(req.params.page);
+  const chunkSize = getChunkSize();
+
+  const xml = await sitemapCache.wrap(`authors:${chunkSize}:${page}`, async () => {
+    const authors = await Post.findSitemapAuthors({ offset: (page - 1) * chunkSize, limit: chunkSize });
+    if (authors.length === 0 && page > 1) return null;
+
+    return renderUrlset(authors.map(author => ({
+      loc: getAuthorUrl(author.user_id),
+      lastmod: author.lastmod
+    })));
+  }, CACHE_OPTIONS);
+
+  if (!xml) {
+    return next(new AppError('Sitemap not found', 404));
+  }
+
+  sendXml(res, xml);
+});
+
+// One chunk of tag pages (tags used by published posts)
+export const getTagsSitemap = asyncHandler(async (req, res, next) => {
+  const page = parsePage(req.params.page);
+  const chunkSize = getChunkSize();
+
+  const xml = await sitemapCache.wrap(`tags:${chunkSize}:${page}`, async () => {
+    const tags = await Post.findSitemapTags({ offset: (page - 1) * chunkSize, limit: chunkSize });
+    if (tags.length === 0 && page > 1) return null;
+
+    return renderUrlset(tags.map(tag => ({
+      loc: getTagUrl(tag.slug),
+      lastmod: tag.lastmod
+    })));
+  }, CACHE_OPTIONS);
+
+  if (!xml) {
+    return next(new AppError('Sitemap not found', 404));
+  }
+
+  sendXml(res, xml);
+});
+
+// Google News sitemap: posts first published in the last 48 hours
+export const getNewsSitemap = asyncHandler(async (req, res, next) => {
+  const xml = await sitemapCache.wrap('news', async () => {
+    const posts = await Post.findRecentlyPublished({ hours: NEWS_WINDOW_HOURS, limit: NEWS_MAX_ARTICLES });
+
+    return renderNewsSitemap(posts.map(post => ({
+      loc: getPostUrl(post),
+      title: post.title,
+      publishedAt: post.published_at,
+      keywords: post.tags
+    })), {
+      publicationName: process.env.SITE_NAME || 'Blog',
+      language: process.env.SITE_LANGUAGE || 'en'
+    });
+  }, { ...CACHE_OPTIONS, ttl: NEWS_CACHE_TTL_MS });
+
+  sendXml(res, xml);
+});
+
+export default {
+  getSitemapIndex,
+  getPostsSitemap,
+  getAuthorsSitemap,
+  getTagsSitemap,
+  getNewsSitemap
+};
@@ -0,0 +1,162 @@
+import { Tag } from '../models/Tag.js';
+import { Post } from '../models/Post.js';
+import { Follow } from '../models/Follow.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { log } from '../utils/logger.js';
+import { MAX_TAG_LENGTH, normalizeTagName, slugifyTag } from '../utils/tags.js';
+
+// List tags with their number of published posts (`?q=` for autocomplete)
+export const getTags = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, q } = req.query;
+
+  // Validate pagination
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  if (q !== undefined && typeof q !== 'string') {
+    return next(new AppError('Query must be a single value', 400));
+  }
+
+  const result = await Tag.findAll({
+    page: pageNum,
+    limit: limitNum,
+    search: q?.trim() || null
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Tag page: the tag and its published posts
+export const getTag = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const tag = await Tag.findBySlug(req.params.slug);
+  if (!tag) {
+    return next(new AppError('Tag not found', 404));
+  }
+
+  const result = await Post.findAll({
+    page: Math.max(1, parseInt(page) || 1),
+    limit: Math.min(50, Math.max(1, parseInt(limit) || 10)),
+    tags: [tag.name],
+    orderBy: 'published_at'
+  });
+
+  res.json({
+    success: true,
+    data: {
+      tag,
+      ...result
+    }
+  });
+});
+
+// Follow a tag: its posts appear in the home feed
+export const followTag = asyncHandler(async (req, res, next) => {
+  const tag = await Tag.findBySlug(req.params.slug);
+  if (!tag) {
+    return next(new AppError('Tag not found', 404));
+  }
+
+  await Follow.followTag(req.user.id, tag.id);
+
+  res.json({
+    success: true,
+    message: 'Tag followed successfully',
+    data: {
+      following: true
+    }
+  });
+});
+
+export const unfollowTag = asyncHandler(async (req, res, next) => {
+  const tag = await Tag.findBySlug(req.params.slug);
+  if (!tag) {
+    return next(new AppError('Tag not found', 404));
+  }
+
+  await Follow.unfollowTag(req.user.id, tag.id);
+
+  res.json({
+    success: true,
+    message: 'Tag unfollowed successfully',
+    data: {
+      following: false
+    }
+  });
+});
+
+// Rename a tag or change its description (editors)
+export const updateTag = asyncHandler(async (req, res, next) => {
+  const { name, description } = req.body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !slugifyTag(name) || normalizeTagName(name).length > MAX_TAG_LENGTH) {
+      return next(new AppError(`Tag name must contain a letter or number and be at most ${MAX_TAG_LENGTH} characters`, 400));
+    }
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string' || description.length > 1000) {
+      return next(new AppError('Description must be less than 1000 characters', 400));
+    }
+  }
+
+  const result = await Tag.update(req.params.slug, {
+    name,
+    description: description === undefined ? undefined : description?.trim() || null
+  });
+
+  log(`Tag ${req.params.slug} updated by ${req.user.email} (${result.postsUpdated} posts updated)`);
+
+  res.json({
+    success: true,
+    message: 'Tag updated successfully',
+    data: result
+  });
+});
+
+// Merge a tag into another one (editors)
+export const mergeTag = asyncHandler(async (req, res, next) => {
+  const { into } = req.body;
+
+  if (typeof into !== 'string' || !into.trim()) {
+    return next(new AppError('Target tag slug (into) is required', 400));
+  }
+
+  const result = await Tag.merge(req.params.slug, into.trim());
+
+  log(`Tag ${req.params.slug} merged into ${into} by ${req.user.email} (${result.postsUpdated} posts updated)`);
+
+  res.json({
+    success: true,
+    message: 'Tags merged successfully',
+    data: result
+  });
+});
+
+// Delete a tag, removing it from every post (editors)
+export const deleteTag = asyncHandler(async (req, res, next) => {
+  const result = await Tag.delete(req.params.slug);
+
+  log(`Tag ${req.params.slug} deleted by ${req.user.email} (${result.postsUpdated} posts updated)`);
+
+  res.json({
+    success: true,
+    message: 'Tag deleted successfully',
+    data: result
+  });
+});
+
+export default {
+  getTags,
+  getTag,
+  followTag,
+  unfollowTag,
+  updateTag,
+  mergeTag,
+  deleteTag
+};
@@ -1,6 +1,21 @@
 import { processUpload, deleteUpload, getFileInfoFromUrl } from '../utils/upload.js';
 import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import { log } from '../utils/logger.js';
+import { withAudit } from '../utils/audit.js';
+
+// Uploads are audited by URL, with where they are stored and what was sent
+// Every file of a request is recorded in one transaction; a failed write fails the request
+const auditUploads = (req, files, results) => withAudit(req, async ({ record }) => {
+  for (const [index, result] of results.entries()) {
+    const file = files[index];
+    await record({
+      action: 'create',
+      entityType: 'upload',
+      entityId: result.url,
+      after: { ...result, originalName: file.originalname, mimetype: file.mimetype, size: file.size }
+    });
+  }
+});
 
 // Upload single image
 export const uploadImage = asyncHandler(async (req, res, next) => {
@@ -9,6 +24,7 @@ export const uploadImage = asyncHandler(async (req, res, next) => {
   }
 
   const result = await processUpload(req.file, req);
+  await auditUploads(req, [req.file], [result]);
 
   log(`Image uploaded by user ${req.user.email}: ${result.url}`);
 
@@ -30,6 +46,7 @@ export const uploadImages = asyncHandler(async (req, res, next) => {
 
   const uploadPromises = req.files.map(file => processUpload(file, req));
   const results = await Promise.all(uploadPromises);
+  await auditUploads(req, req.files, results);
 
   log(`${results.length} images uploaded by user ${req.user.email}`);
 
@@ -58,7 +75,11 @@ export const deleteImage = asyncHandler(async (req, res, next) => {
     return next(new AppError('Invalid image URL', 400));
   }
 
-  await deleteUpload(fileInfo);
+  // The entry is only committed once the file is gone
+  await withAudit(req, async ({ record }) => {
+    await record({ action: 'delete', entityType: 'upload', entityId: imageUrl, before: { url: imageUrl, ...fileInfo } });
+    await deleteUpload(fileInfo);
+  });
 
   log(`Image deleted by user ${req.user.email}: ${imageUrl}`);
 
@@ -0,0 +1,154 @@
+import { User } from '../models/User.js';
+import { Follow } from '../models/Follow.js';
+import { Block } from '../models/Block.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
+import { log } from '../utils/logger.js';
+import { notify } from '../utils/notifications.js';
+
+// Load the user named in the route, refusing the current user themselves
+const findOtherUser = async (req, action) => {
+  const user = await User.findById(parseInt(req.params.id) || 0);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.id === req.user.id) {
+    throw new AppError(`You cannot ${action} yourself`, 400);
+  }
+
+  return user;
+};
+
+const parsePagination = (query) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit) || 20))
+});
+
+// Follow an author
+export const followUser = asyncHandler(async (req, res, next) => {
+  const user = await findOtherUser(req, 'follow');
+
+  const { blocked, blockedBy } = await Block.getStatus(req.user.id, user.id);
+  if (blocked) {
+    return next(new AppError('Unblock this user before following them', 400));
+  }
+  if (blockedBy) {
+    return next(new AppError('You cannot follow this user', 403));
+  }
+
+  await Follow.follow(req.user.id, user.id);
+  const counts = await Follow.getCounts(user.id);
+
+  notify({ userId: user.id, type: 'follow', actorId: req.user.id });
+
+  log(`User ${req.user.id} followed user ${user.id}`);
+
+  res.json({
+    success: true,
+    message: 'User followed successfully',
+    data: {
+      following: true,
+      followersCount: counts.followers_count
+    }
+  });
+});
+
+// Stop following an author
+export const unfollowUser = asyncHandler(async (req, res, next) => {
+  const user = await findOtherUser(req, 'unfollow');
+
+  await Follow.unfollow(req.user.id, user.id);
+  const counts = await Follow.getCounts(user.id);
+
+  res.json({
+    success: true,
+    message: 'User unfollowed successfully',
+    data: {
+      following: false,
+      followersCount: counts.followers_count
+    }
+  });
+});
+
+// Users following a user
+export const getFollowers = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(parseInt(req.params.id) || 0);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const result = await Follow.getFollowers(user.id, parsePagination(req.query));
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Authors a user follows
+export const getFollowing = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(parseInt(req.params.id) || 0);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const result = await Follow.getFollowing(user.id, parsePagination(req.query));
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+// Block a user: their posts no longer appear in the home feed and follows between you are removed
+export const blockUser = asyncHandler(async (req, res, next) => {
+  const user = await findOtherUser(req, 'block');
+
+  await Block.block(req.user.id, user.id);
+
+  log(`User ${req.user.id} blocked user ${user.id}`);
+
+  res.json({
+    success: true,
+    message: 'User blocked successfully',
+    data: {
+      blocked: true
+    }
+  });
+});
+
+export const unblockUser = asyncHandler(async (req, res, next) => {
+  const user = await findOtherUser(req, 'unblock');
+
+  await Block.unblock(req.user.id, user.id);
+
+  res.json({
+    success: true,
+    message: 'User unblocked successfully',
+    data: {
+      blocked: false
+    }
+  });
+});
+
+// Users the current user has blocked
+export const getBlockedUsers = asyncHandler(async (req, res, next) => {
+  const users = await Block.getBlocked(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      users
+    }
+  });
+});
+
+export default {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  blockUser,
+  unblockUser,
+  getBlockedUsers
+};
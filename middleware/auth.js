@@ -1,17 +1,63 @@
 import jwt from 'jsonwebtoken';
 import { AppError, asyncHandler } from './errorHandler.js';
 import { query } from '../utils/db.js';
-import { log } from '../utils/logger.js';
+import { debug } from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
+import { isVerifiedEmailRequired } from '../utils/emailVerification.js';
+import { Session } from '../models/Session.js';
 
-// Generate JWT token
-export const generateToken = (userId) => {
+// Generate a short-lived JWT access token bound to a login session
+export const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+// Start a session for a user and issue an access/refresh token pair
+export const issueTokens = async (userId, req) => {
+  const { sessionId, refreshToken } = await Session.create({
+    userId,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateAccessToken(userId, sessionId),
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+  };
+};
+
+// Look up the user behind a decoded access token, or null if its session was revoked
+const findTokenUser = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT u.id, u.name, u.email, u.role, u.email_verified_at, u.banned_at, u.avatar_url, u.bio, u.created_at 
+     FROM users u 
+     JOIN user_sessions s ON s.user_id = u.id 
+     WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL`,
+    [decoded.userId, decoded.sid]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Whether the access token a request was authenticated with is still good:
+// not expired, its session not revoked and its user not deleted.
+// For long-lived responses (SSE) that outlive the check done by verifyToken.
+export const isAuthStillValid = async (req) => {
+  if (req.tokenExpiresAt && Date.now() >= req.tokenExpiresAt) {
+    return false;
+  }
+
+  return Boolean(await findTokenUser({ userId: req.user.id, sid: req.sessionId }));
+};
+
 // Verify JWT token and get user
 export const verifyToken = asyncHandler(async (req, res, next) => {
   let token;
@@ -29,19 +75,18 @@ export const verifyToken = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Get user from database
-    const result = await query(
-      'SELECT id, name, email, avatar_url, bio, created_at FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // Get user from database (revoked sessions and deleted users yield nothing)
+    const user = await findTokenUser(decoded);
 
-    if (result.rows.length === 0) {
-      return next(new AppError('Token is valid but user no longer exists', 401));
+    if (!user) {
+      return next(new AppError('Session is no longer valid. Please log in again.', 401));
     }
 
-    // Attach user to request object
-    req.user = result.rows[0];
-    log(`User authenticated: ${req.user.email}`);
+    // Attach user and session to request object
+    req.user = user;
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp * 1000;
+    debug(`User authenticated: ${req.user.email}`);
     
     next();
   } catch (error) {
@@ -68,24 +113,51 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const result = await query(
-      'SELECT id, name, email, avatar_url, bio, created_at FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const user = await findTokenUser(decoded);
 
-    if (result.rows.length > 0) {
-      req.user = result.rows[0];
+    if (user) {
+      req.user = user;
+      req.sessionId = decoded.sid;
+      req.tokenExpiresAt = decoded.exp * 1000;
     }
   } catch (error) {
     // Silently ignore token errors for optional auth
-    log('Optional auth failed:', error.message);
+    debug('Optional auth failed:', error.message);
   }
 
   next();
 });
 
-// Check if user owns the resource
-export const checkOwnership = (resourceType) => {
+// Require a permission from utils/permissions.js (use after verifyToken)
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return next(new AppError('Access denied. Insufficient permissions.', 403));
+    }
+    next();
+  };
+};
+
+// Block unverified accounts from an action when REQUIRE_VERIFIED_EMAIL lists it (use after verifyToken)
+export const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (isVerifiedEmailRequired(action) && !req.user.email_verified_at) {
+      return next(new AppError('Please verify your email address first', 403));
+    }
+    next();
+  };
+};
+
+// Block users banned by a moderator from commenting and reporting (use after verifyToken)
+export const requireNotBanned = (req, res, next) => {
+  if (req.user.banned_at) {
+    return next(new AppError('Your account has been banned from commenting', 403));
+  }
+  next();
+};
+
+// Check if user owns the resource, or holds the "<resource>:<action>:any" permission
+export const checkOwnership = (resourceType, action = 'update') => {
   return asyncHandler(async (req, res, next) => {
     const resourceId = req.params.id;
     const userId = req.user.id;
@@ -107,7 +179,7 @@ export const checkOwnership = (resourceType) => {
       return next(new AppError(`${resourceType} not found`, 404));
     }
 
-    if (result.rows[0].user_id !== userId) {
+    if (result.rows[0].user_id !== userId && !hasPermission(req.user, `${resourceType}:${action}:any`)) {
       return next(new AppError(`Access denied. You don't own this ${resourceType}.`, 403));
     }
 
@@ -115,4 +187,4 @@ export const checkOwnership = (resourceType) => {
   });
 };
 
-export default { generateToken, verifyToken, optionalAuth, checkOwnership }; 
\ No newline at end of file
+export default { generateAccessToken, issueTokens, verifyToken, optionalAuth, requirePermission, requireVerifiedEmail, requireNotBanned, checkOwnership }; 
\ No newline at end of file
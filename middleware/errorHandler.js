@@ -1,10 +1,12 @@
-import { error } from '../utils/logger.js';
+import { error, debug, redactUrl } from '../utils/logger.js';
 
 // Custom error class for application errors
+// `headers` are sent with the error response (e.g. Retry-After on a 429)
 export class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, headers = null) {
     super(message);
     this.statusCode = statusCode;
+    this.headers = headers;
     this.isOperational = true;
     
     Error.captureStackTrace(this, this.constructor);
@@ -47,16 +49,20 @@ export const errorHandler = (err, req, res, next) => {
     message = err.message;
   }
 
-  // Log error details
-  error('Error occurred:', {
-    message: err.message,
+  // Log error details: unexpected failures with their stack, client errors
+  // only at debug level (the request log already records their status)
+  const details = {
     statusCode,
-    stack: err.stack,
-    url: req.url,
     method: req.method,
+    url: redactUrl(req.originalUrl),
     ip: req.ip,
     userAgent: req.get('User-Agent')
-  });
+  };
+  if (statusCode >= 500) {
+    error('Error occurred:', err.message, { ...details, err });
+  } else {
+    debug('Request failed:', err.message, details);
+  }
 
   // Send error response
   const response = {
@@ -69,6 +75,10 @@ export const errorHandler = (err, req, res, next) => {
     response.stack = err.stack;
   }
 
+  if (err.headers) {
+    res.set(err.headers);
+  }
+
   res.status(statusCode).json(response);
 };
 
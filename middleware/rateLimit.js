@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { AppError, asyncHandler } from './errorHandler.js';
+import { RateLimit } from '../models/RateLimit.js';
+import { error } from '../utils/logger.js';
+
+// Rate limiting with sliding windows, per IP, per signed-in user and per account
+// signed in to (the normalized email in the request body)
+// Each limit counts hits in fixed windows and weighs the previous window by how
+// much of it still overlaps the sliding window, which smooths out bursts at
+// window edges without storing every request.
+//
+// Counters live in PostgreSQL so limits hold across instances
+// (RATE_LIMIT_STORE=memory keeps them in-process for single-node setups).
+
+// Default limits: max requests per window (seconds), per IP, user and account
+// Override with RATE_LIMIT_<NAME>_<IP|USER|ACCOUNT>=max/seconds, e.g. RATE_LIMIT_LOGIN_IP=5/300 (0 turns a limit off)
+const LIMITS = {
+  // Per account too, so guessing one account's password from many IPs is still capped
+  login: { ip: { max: 10, window: 15 * 60 }, account: { max: 10, window: 15 * 60 } },
+  comment: { ip: { max: 30, window: 60 }, user: { max: 10, window: 60 } },
+  like: { ip: { max: 120, window: 60 }, user: { max: 60, window: 60 } }
+};
+
+const getLimit = (name, scope) => {
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}_${scope.toUpperCase()}`];
+  if (override !== undefined) {
+    const [max, window] = override.split('/').map(value => parseInt(value));
+    if (max === 0) return null;
+    if (max > 0 && window > 0) return { max, window };
+  }
+  return LIMITS[name][scope] || null;
+};
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// What each scope counts by (null when the request has nothing to count)
+// Emails are hashed so the counters don't hold addresses
+const SCOPE_KEYS = {
+  ip: (req) => req.ip,
+  user: (req) => req.user?.id ?? null,
+  account: (req) => {
+    const email = req.body?.email;
+    if (typeof email !== 'string' || !email.trim()) return null;
+    return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+  }
+};
+
+// In-process counters: key -> { windowStart, current, previous }
+const memoryCounters = new Map();
+let sweepTimer = null;
+
+const memoryStore = {
+  async hit(key, windowStart, expiresAt) {
+    const entry = memoryCounters.get(key);
+    let previous = 0;
+    let current = 0;
+
+    if (entry && entry.windowStart === windowStart) {
+      ({ previous, current } = entry);
+    } else if (entry && entry.windowStart === windowStart - 1) {
+      previous = entry.current;
+    }
+
+    current++;
+    memoryCounters.set(key, { windowStart, current, previous, expiresAt: expiresAt.getTime() });
+
+    // Drop counters that have run out, once a minute
+    if (!sweepTimer) {
+      sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [counterKey, counter] of memoryCounters) {
+          if (counter.expiresAt < now) memoryCounters.delete(counterKey);
+        }
+      }, 60 * 1000);
+      sweepTimer.unref();
+    }
+
+    return { current, previous };
+  }
+};
+
+const getStore = () => (process.env.RATE_LIMIT_STORE === 'memory' ? memoryStore : RateLimit);
+
+// Where a limit stands with `current` hits in this window and `previous` in the
+// one before, `elapsed` ms into this window; returns the numbers for the RateLimit-* headers
+export const slidingWindow = ({ current, previous, elapsed }, { max, window }) => {
+  const windowMs = window * 1000;
+  const weight = (windowMs - elapsed) / windowMs;
+  const estimate = previous * weight + current;
+
+  // Time until the estimate drops back under the limit
+  let retryMs = 0;
+  if (estimate > max) {
+    retryMs = current >= max
+      ? windowMs - elapsed + windowMs * (1 - max / current)
+      : windowMs - (max - current) * windowMs / previous - elapsed;
+  }
+
+  return {
+    limited: estimate > max,
+    limit: max,
+    window,
+    remaining: Math.max(0, Math.floor(max - estimate)),
+    reset: Math.ceil((retryMs || windowMs - elapsed) / 1000),
+    retryAfter: Math.max(1, Math.ceil(retryMs / 1000))
+  };
+};
+
+// Count a hit against one limit
+const consume = async (key, limit) => {
+  const windowMs = limit.window * 1000;
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs);
+  // Counters are needed until the window after this one has passed
+  const expiresAt = new Date((windowStart + 2) * windowMs);
+
+  const counts = await getStore().hit(key, windowStart, expiresAt);
+  return slidingWindow({ ...counts, elapsed: now - windowStart * windowMs }, limit);
+};
+
+const rateLimitHeaders = (result) => ({
+  'RateLimit-Limit': String(result.limit),
+  'RateLimit-Remaining': String(result.remaining),
+  'RateLimit-Reset': String(result.reset),
+  'RateLimit-Policy': `${result.limit};w=${result.window}`
+});
+
+// Limit a route by IP, by user (after verifyToken) and by the account in the body
+// The most restrictive limit is reported in the RateLimit-* headers
+export const rateLimit = (name) => {
+  if (!LIMITS[name]) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
+    if (!isEnabled()) {
+      return next();
+    }
+
+    const checks = [];
+    for (const [scope, keyFor] of Object.entries(SCOPE_KEYS)) {
+      const limit = getLimit(name, scope);
+      const key = limit ? keyFor(req) : null;
+      if (key !== null && key !== undefined) checks.push([`${name}:${scope}:${key}`, limit]);
+    }
+
+    if (checks.length === 0) {
+      return next();
+    }
+
+    let results;
+    try {
+      results = await Promise.all(checks.map(([key, limit]) => consume(key, limit)));
+    } catch (err) {
+      // Better to let requests through than to fail them when counters are unavailable
+      error(`Rate limiter (${name}) failed:`, err.message);
+      return next();
+    }
+
+    const limited = results.filter(result => result.limited);
+    if (limited.length > 0) {
+      const worst = limited.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a));
+      return next(new AppError('Too many requests. Please try again later.', 429, {
+        ...rateLimitHeaders(worst),
+        'Retry-After': String(worst.retryAfter)
+      }));
+    }
+
+    const tightest = results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set(rateLimitHeaders(tightest));
+    next();
+  });
+};
+
+export default { rateLimit, slidingWindow };
@@ -0,0 +1,16 @@
+import { randomUUID } from 'crypto';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+// Give every request an ID, sent back in X-Request-Id, stored with audit entries
+// and attached to every log line written while handling the request
+// An ID set by a proxy in front of the API is kept when it looks sane
+const VALID_REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  runWithRequestContext({ requestId: req.id }, next);
+};
+
+export default { requestId };
@@ -0,0 +1,32 @@
+// Post revision history: one snapshot of the editable fields per save
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS post_revisions (
+      id SERIAL PRIMARY KEY,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      revision_number INTEGER NOT NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      title VARCHAR(255) NOT NULL,
+      excerpt TEXT,
+      body TEXT NOT NULL,
+      image_url VARCHAR(500),
+      tags TEXT[],
+      restored_from INTEGER REFERENCES post_revisions(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(post_id, revision_number)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id ON post_revisions(post_id);
+
+    -- Seed existing posts with their current content as revision 1
+    INSERT INTO post_revisions (post_id, revision_number, user_id, title, excerpt, body, image_url, tags, created_at)
+    SELECT id, 1, user_id, title, excerpt, body, image_url, tags, updated_at
+    FROM posts
+    ON CONFLICT (post_id, revision_number) DO NOTHING;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS post_revisions');
+};
@@ -0,0 +1,22 @@
+// Threaded comments: replies reference their parent, and deleted parents
+// with replies are kept as "[deleted]" placeholders
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE comments
+      ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_comments_parent_id;
+
+    ALTER TABLE comments
+      DROP COLUMN IF EXISTS parent_id,
+      DROP COLUMN IF EXISTS deleted_at;
+  `);
+};
@@ -0,0 +1,23 @@
+// User roles for the permission layer (see utils/permissions.js)
+// Existing accounts become authors so they keep their current abilities
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'author';
+
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+    ALTER TABLE users
+      ADD CONSTRAINT users_role_check CHECK (role IN ('reader', 'author', 'editor', 'admin'));
+
+    CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_users_role;
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+    ALTER TABLE users DROP COLUMN IF EXISTS role;
+  `);
+};
@@ -0,0 +1,57 @@
+// Editorial workflow: draft -> submitted -> in_review -> approved -> published -> archived
+// `published` stays in sync with status = 'published' for existing queries
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft',
+      ADD COLUMN IF NOT EXISTS review_notes TEXT,
+      ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS review_started_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS published_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+
+    ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_status_check;
+    ALTER TABLE posts
+      ADD CONSTRAINT posts_status_check
+      CHECK (status IN ('draft', 'submitted', 'in_review', 'approved', 'published', 'archived'));
+
+    -- Existing published posts keep their state; creation date stands in for publish date
+    UPDATE posts
+    SET status = 'published', published_at = COALESCE(published_at, created_at)
+    WHERE published = true AND status = 'draft';
+
+    CREATE INDEX IF NOT EXISTS idx_posts_status ON posts(status);
+
+    -- Every status change, who made it and why
+    CREATE TABLE IF NOT EXISTS post_status_transitions (
+      id SERIAL PRIMARY KEY,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      from_status VARCHAR(20) NOT NULL,
+      to_status VARCHAR(20) NOT NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_status_transitions_post_id ON post_status_transitions(post_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS post_status_transitions;
+    DROP INDEX IF EXISTS idx_posts_status;
+    ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_status_check;
+
+    ALTER TABLE posts
+      DROP COLUMN IF EXISTS status,
+      DROP COLUMN IF EXISTS review_notes,
+      DROP COLUMN IF EXISTS submitted_at,
+      DROP COLUMN IF EXISTS review_started_at,
+      DROP COLUMN IF EXISTS approved_at,
+      DROP COLUMN IF EXISTS published_at,
+      DROP COLUMN IF EXISTS archived_at;
+  `);
+};
@@ -0,0 +1,24 @@
+// Scheduled publishing: posts go live at publish_at and are archived at unpublish_at
+// TIMESTAMPTZ so schedules don't depend on the server's time zone
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ;
+
+    CREATE INDEX IF NOT EXISTS idx_posts_publish_at ON posts(publish_at) WHERE publish_at IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_posts_unpublish_at ON posts(unpublish_at) WHERE unpublish_at IS NOT NULL;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_posts_publish_at;
+    DROP INDEX IF EXISTS idx_posts_unpublish_at;
+
+    ALTER TABLE posts
+      DROP COLUMN IF EXISTS publish_at,
+      DROP COLUMN IF EXISTS unpublish_at;
+  `);
+};
@@ -0,0 +1,77 @@
+// Full-text search: a weighted tsvector per post kept in post_search
+// (title A, tags and excerpt B, body C, author name D) with a GIN index.
+// Stored in its own table so SELECT p.* doesn't carry the vector around.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS post_search (
+      post_id INTEGER PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+      document TSVECTOR NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_search_document ON post_search USING GIN (document);
+
+    CREATE OR REPLACE FUNCTION build_post_search_document(
+      title TEXT, excerpt TEXT, body TEXT, tags TEXT[], author_name TEXT
+    ) RETURNS TSVECTOR AS $$
+      SELECT
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(array_to_string(tags, ' '), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(excerpt, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(body, '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(author_name, '')), 'D');
+    $$ LANGUAGE sql STABLE;
+
+    -- Refresh a post's document when its searchable fields change
+    CREATE OR REPLACE FUNCTION refresh_post_search()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      INSERT INTO post_search (post_id, document)
+      SELECT NEW.id, build_post_search_document(NEW.title, NEW.excerpt, NEW.body, NEW.tags, u.name)
+      FROM users u
+      WHERE u.id = NEW.user_id
+      ON CONFLICT (post_id) DO UPDATE SET document = EXCLUDED.document;
+      RETURN NULL;
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS refresh_posts_search ON posts;
+    CREATE TRIGGER refresh_posts_search AFTER INSERT OR UPDATE OF title, excerpt, body, tags, user_id ON posts
+      FOR EACH ROW EXECUTE FUNCTION refresh_post_search();
+
+    -- Keep author names current in every post by that author
+    CREATE OR REPLACE FUNCTION refresh_author_post_search()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      UPDATE post_search s
+      SET document = build_post_search_document(p.title, p.excerpt, p.body, p.tags, NEW.name)
+      FROM posts p
+      WHERE p.id = s.post_id AND p.user_id = NEW.id;
+      RETURN NULL;
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS refresh_users_post_search ON users;
+    CREATE TRIGGER refresh_users_post_search AFTER UPDATE OF name ON users
+      FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+      EXECUTE FUNCTION refresh_author_post_search();
+
+    -- Index existing posts
+    INSERT INTO post_search (post_id, document)
+    SELECT p.id, build_post_search_document(p.title, p.excerpt, p.body, p.tags, u.name)
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    ON CONFLICT (post_id) DO UPDATE SET document = EXCLUDED.document;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TRIGGER IF EXISTS refresh_users_post_search ON users;
+    DROP TRIGGER IF EXISTS refresh_posts_search ON posts;
+    DROP FUNCTION IF EXISTS refresh_author_post_search();
+    DROP FUNCTION IF EXISTS refresh_post_search();
+    DROP FUNCTION IF EXISTS build_post_search_document(TEXT, TEXT, TEXT, TEXT[], TEXT);
+    DROP TABLE IF EXISTS post_search;
+  `);
+};
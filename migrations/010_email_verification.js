@@ -0,0 +1,20 @@
+// Email verification: accounts that existed before verification was introduced
+// are treated as verified
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP;
+
+    UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS email_verified_at,
+      DROP COLUMN IF EXISTS verification_sent_at;
+  `);
+};
@@ -0,0 +1,34 @@
+// Keep posts.updated_at meaningful for feeds: view counter increments no longer bump it,
+// so Last-Modified/ETag only change when a post actually changes
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION update_posts_updated_at_column()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      IF (to_jsonb(NEW) - 'views' - 'updated_at') IS DISTINCT FROM (to_jsonb(OLD) - 'views' - 'updated_at') THEN
+        NEW.updated_at = CURRENT_TIMESTAMP;
+      END IF;
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS update_posts_updated_at ON posts;
+    CREATE TRIGGER update_posts_updated_at BEFORE UPDATE ON posts
+      FOR EACH ROW EXECUTE FUNCTION update_posts_updated_at_column();
+
+    CREATE INDEX IF NOT EXISTS idx_posts_published_at ON posts(published_at) WHERE published = true;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_posts_published_at;
+
+    DROP TRIGGER IF EXISTS update_posts_updated_at ON posts;
+    CREATE TRIGGER update_posts_updated_at BEFORE UPDATE ON posts
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+    DROP FUNCTION IF EXISTS update_posts_updated_at_column();
+  `);
+};
@@ -0,0 +1,126 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// Posts declare their body format and store sanitized HTML next to the source;
+// comments store their rendered Markdown. Existing content is treated as Markdown.
+
+const BATCH_SIZE = 500;
+
+// Rendering rules as of this migration, copied from utils/markdown.js so later
+// changes there don't alter what this migration writes
+
+const postMarkdown = new Marked({ gfm: true });
+const commentMarkdown = new Marked({ gfm: true, breaks: true });
+
+const POST_SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'div', 'span',
+    'a', 'img', 'figure', 'figcaption',
+    'strong', 'b', 'em', 'i', 'u', 'del', 's', 'sub', 'sup', 'mark',
+    'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false
+};
+
+const COMMENT_SANITIZE_OPTIONS = {
+  allowedTags: ['p', 'br', 'a', 'strong', 'b', 'em', 'i', 'del', 's', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'],
+  allowedAttributes: {
+    a: ['href', 'rel']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc' })
+  }
+};
+
+const renderPostBody = (body, format) => {
+  const html = format === 'html' ? body : postMarkdown.parse(body || '');
+  return sanitizeHtml(html, POST_SANITIZE_OPTIONS).trim();
+};
+
+const renderCommentText = (text) => {
+  return sanitizeHtml(commentMarkdown.parse(text || ''), COMMENT_SANITIZE_OPTIONS).trim();
+};
+
+// Render every row whose html column is still empty, in batches
+const backfill = async (client, { table, target, render }) => {
+  let lastId = 0;
+
+  while (true) {
+    const result = await client.query(
+      `SELECT * FROM ${table} WHERE id > $1 AND ${target} IS NULL ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      await client.query(
+        `UPDATE ${table} SET ${target} = $1 WHERE id = $2`,
+        [render(row), row.id]
+      );
+    }
+
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+};
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS body_format VARCHAR(10) NOT NULL DEFAULT 'markdown'
+        CHECK (body_format IN ('markdown', 'html')),
+      ADD COLUMN IF NOT EXISTS body_html TEXT;
+
+    ALTER TABLE post_revisions
+      ADD COLUMN IF NOT EXISTS body_format VARCHAR(10) NOT NULL DEFAULT 'markdown';
+
+    ALTER TABLE comments
+      ADD COLUMN IF NOT EXISTS text_html TEXT;
+  `);
+
+  // Rendering is not an edit: keep updated_at (and sitemap lastmod) as it was
+  await client.query('ALTER TABLE posts DISABLE TRIGGER update_posts_updated_at');
+
+  await backfill(client, {
+    table: 'posts',
+    target: 'body_html',
+    render: (row) => renderPostBody(row.body, row.body_format)
+  });
+
+  await client.query('ALTER TABLE posts ENABLE TRIGGER update_posts_updated_at');
+
+  await backfill(client, {
+    table: 'comments',
+    target: 'text_html',
+    render: (row) => renderCommentText(row.text)
+  });
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE comments DROP COLUMN IF EXISTS text_html;
+    ALTER TABLE post_revisions DROP COLUMN IF EXISTS body_format;
+    ALTER TABLE posts
+      DROP COLUMN IF EXISTS body_html,
+      DROP COLUMN IF EXISTS body_format;
+  `);
+};
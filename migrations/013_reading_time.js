@@ -0,0 +1,107 @@
+import sanitizeHtml from 'sanitize-html';
+
+// Word count and reading time per post, and excerpts generated from the body
+// when the author didn't write one (excerpt_generated marks those so they follow body edits)
+
+const BATCH_SIZE = 500;
+
+// Text analysis as of this migration, copied from utils/markdown.js and
+// utils/readingTime.js so later changes there don't alter what this migration writes
+
+const DEFAULT_WORDS_PER_MINUTE = 230;
+const EXCERPT_LENGTH = 200;
+
+const htmlToText = (html) => {
+  const spaced = (html || '').replace(/(<\/(?:p|h[1-6]|li|blockquote|pre|div|tr|th|td|figcaption)>|<br\s*\/?>)/gi, '$1 ');
+
+  return sanitizeHtml(spaced, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const generateExcerpt = (text, maxLength = EXCERPT_LENGTH) => {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+
+  const slice = clean.slice(0, maxLength);
+
+  const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+  if (sentenceEnd > maxLength / 2) {
+    return slice.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = slice.lastIndexOf(' ');
+  return `${(wordEnd > 0 ? slice.slice(0, wordEnd) : slice).replace(/[\s,;:.-]+$/, '')}…`;
+};
+
+const analyzeText = (text) => {
+  const words = (text || '').trim().match(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu);
+  const wordCount = words ? words.length : 0;
+  const wordsPerMinute = parseInt(process.env.READING_WORDS_PER_MINUTE) || DEFAULT_WORDS_PER_MINUTE;
+
+  return {
+    wordCount,
+    readingTimeMinutes: wordCount === 0 ? 0 : Math.max(1, Math.round(wordCount / wordsPerMinute)),
+    excerpt: generateExcerpt(text)
+  };
+};
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS word_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS reading_time_minutes INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS excerpt_generated BOOLEAN NOT NULL DEFAULT false;
+
+    CREATE INDEX IF NOT EXISTS idx_posts_reading_time ON posts(reading_time_minutes) WHERE published = true;
+  `);
+
+  // Derived fields are not edits: keep updated_at as it was
+  await client.query('ALTER TABLE posts DISABLE TRIGGER update_posts_updated_at');
+
+  let lastId = 0;
+  while (true) {
+    const result = await client.query(
+      'SELECT id, excerpt, body, body_html FROM posts WHERE id > $1 ORDER BY id LIMIT $2',
+      [lastId, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const post of result.rows) {
+      const stats = analyzeText(htmlToText(post.body_html ?? post.body));
+      const generateExcerpt = !post.excerpt || !post.excerpt.trim();
+
+      await client.query(
+        `UPDATE posts 
+         SET word_count = $1, 
+             reading_time_minutes = $2, 
+             excerpt = CASE WHEN $3 THEN $4 ELSE excerpt END, 
+             excerpt_generated = $3 
+         WHERE id = $5`,
+        [stats.wordCount, stats.readingTimeMinutes, generateExcerpt, stats.excerpt, post.id]
+      );
+    }
+
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+
+  await client.query('ALTER TABLE posts ENABLE TRIGGER update_posts_updated_at');
+};
+
+export const down = async (client) => {
+  await client.query(`
+    UPDATE posts SET excerpt = NULL WHERE excerpt_generated = true;
+
+    DROP INDEX IF EXISTS idx_posts_reading_time;
+
+    ALTER TABLE posts
+      DROP COLUMN IF EXISTS word_count,
+      DROP COLUMN IF EXISTS reading_time_minutes,
+      DROP COLUMN IF EXISTS excerpt_generated;
+  `);
+};
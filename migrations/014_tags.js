@@ -0,0 +1,106 @@
+// Normalized tags: one row per tag, linked to posts through post_tags
+// posts.tags stays as an ordered cache of the tag names (search, feeds, revisions),
+// rewritten whenever a post's tags or a tag's name change.
+
+const BATCH_SIZE = 500;
+
+// Tag normalization as of this migration, copied from utils/tags.js so later
+// changes there don't alter what this migration writes
+
+const normalizeTagName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const slugifyTag = (name) => normalizeTagName(name)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+const normalizeTags = (tags) => {
+  const seen = new Set();
+  const result = [];
+
+  for (const tag of tags) {
+    const name = normalizeTagName(tag);
+    const slug = slugifyTag(name);
+    if (!slug || seen.has(slug)) continue;
+
+    seen.add(slug);
+    result.push(name);
+  }
+
+  return result;
+};
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(50) NOT NULL,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS post_tags (
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (post_id, tag_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_tags_tag_id ON post_tags(tag_id);
+  `);
+
+  // Folding case and spelling variants together is not an edit: keep updated_at as it was
+  await client.query('ALTER TABLE posts DISABLE TRIGGER update_posts_updated_at');
+
+  let lastId = 0;
+  while (true) {
+    const result = await client.query(
+      `SELECT id, tags FROM posts
+       WHERE id > $1 AND tags IS NOT NULL AND cardinality(tags) > 0
+       ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const post of result.rows) {
+      const names = normalizeTags(post.tags);
+      const tagIds = [];
+      const canonicalNames = [];
+
+      for (const name of names) {
+        // The first spelling seen for a slug becomes the tag's name
+        const tag = await client.query(
+          `INSERT INTO tags (name, slug) VALUES ($1, $2)
+           ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+           RETURNING id, name`,
+          [name, slugifyTag(name)]
+        );
+        tagIds.push(tag.rows[0].id);
+        canonicalNames.push(tag.rows[0].name);
+      }
+
+      await client.query(
+        `INSERT INTO post_tags (post_id, tag_id, position)
+         SELECT $1, tag_id, position FROM unnest($2::int[]) WITH ORDINALITY AS t(tag_id, position)
+         ON CONFLICT DO NOTHING`,
+        [post.id, tagIds]
+      );
+
+      await client.query('UPDATE posts SET tags = $1 WHERE id = $2', [canonicalNames, post.id]);
+    }
+
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+
+  await client.query('ALTER TABLE posts ENABLE TRIGGER update_posts_updated_at');
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS post_tags;
+    DROP TABLE IF EXISTS tags;
+  `);
+};
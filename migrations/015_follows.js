@@ -0,0 +1,46 @@
+// Following authors and tags, and blocking authors (personalized home feed)
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS follows (
+      follower_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      followee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (follower_id, followee_id),
+      CHECK (follower_id <> followee_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_follows_followee_id ON follows(followee_id);
+
+    CREATE TABLE IF NOT EXISTS tag_follows (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, tag_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tag_follows_tag_id ON tag_follows(tag_id);
+
+    CREATE TABLE IF NOT EXISTS user_blocks (
+      blocker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      blocked_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (blocker_id, blocked_id),
+      CHECK (blocker_id <> blocked_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked_id ON user_blocks(blocked_id);
+
+    -- Home feed: a followed author's posts, newest first
+    CREATE INDEX IF NOT EXISTS idx_posts_user_published_at ON posts(user_id, published_at DESC) WHERE published = true;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_posts_user_published_at;
+    DROP TABLE IF EXISTS user_blocks;
+    DROP TABLE IF EXISTS tag_follows;
+    DROP TABLE IF EXISTS follows;
+  `);
+};
@@ -0,0 +1,38 @@
+// In-app notifications and per-user notification preferences
+// Each event is one row; rows sharing a group_key (e.g. every like of one post)
+// are shown together as "12 people liked your post".
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('comment', 'reply', 'like', 'follow')),
+      actor_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+      comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+      group_key VARCHAR(100) NOT NULL,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_created_at ON notifications(user_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id, group_key) WHERE read_at IS NULL;
+
+    -- Types a user has muted; no row means the type is on
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(20) NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, type)
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS notification_preferences;
+    DROP TABLE IF EXISTS notifications;
+  `);
+};
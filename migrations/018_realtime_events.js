@@ -0,0 +1,23 @@
+// Live update events (Server-Sent Events)
+// Every event is stored so clients can resume after a reconnect (Last-Event-ID),
+// and announced with NOTIFY so every server instance can deliver it.
+// Old events are removed by the scheduler (REALTIME_EVENT_RETENTION_MINUTES).
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS realtime_events (
+      id BIGSERIAL PRIMARY KEY,
+      channel VARCHAR(100) NOT NULL, -- post:<id> or user:<id>
+      event VARCHAR(50) NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_realtime_events_channel_id ON realtime_events(channel, id);
+    CREATE INDEX IF NOT EXISTS idx_realtime_events_created_at ON realtime_events(created_at);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS realtime_events');
+};
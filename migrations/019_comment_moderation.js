@@ -0,0 +1,67 @@
+// Comment moderation: reader reports, a moderation status on comments,
+// commenting bans and a log of every moderation action
+// visible: shown normally; held: waiting for a moderator; hidden: removed by a moderator
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE comments
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'visible';
+
+    ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_status_check;
+    ALTER TABLE comments
+      ADD CONSTRAINT comments_status_check CHECK (status IN ('visible', 'held', 'hidden'));
+
+    CREATE INDEX IF NOT EXISTS idx_comments_status ON comments(status) WHERE status <> 'visible';
+
+    -- Banned users can no longer comment, reply or report
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS ban_reason TEXT;
+
+    -- One report per reader per comment; resolved when a moderator acts on the comment
+    CREATE TABLE IF NOT EXISTS comment_reports (
+      id SERIAL PRIMARY KEY,
+      comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      reason VARCHAR(20) NOT NULL,
+      details TEXT,
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (comment_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comment_reports_open ON comment_reports(comment_id) WHERE resolved_at IS NULL;
+
+    -- Every moderation action, who took it and why
+    -- Survives the comment and users involved; comment_text keeps what was moderated
+    CREATE TABLE IF NOT EXISTS moderation_actions (
+      id SERIAL PRIMARY KEY,
+      action VARCHAR(20) NOT NULL,
+      comment_id INTEGER REFERENCES comments(id) ON DELETE SET NULL,
+      target_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL for automatic actions
+      reason TEXT,
+      comment_text TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_moderation_actions_created_at ON moderation_actions(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_moderation_actions_comment_id ON moderation_actions(comment_id);
+    CREATE INDEX IF NOT EXISTS idx_moderation_actions_target_user_id ON moderation_actions(target_user_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS moderation_actions;
+    DROP TABLE IF EXISTS comment_reports;
+
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS banned_at,
+      DROP COLUMN IF EXISTS ban_reason;
+
+    DROP INDEX IF EXISTS idx_comments_status;
+    ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_status_check;
+    ALTER TABLE comments DROP COLUMN IF EXISTS status;
+  `);
+};
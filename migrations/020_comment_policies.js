@@ -0,0 +1,38 @@
+// Per-post comment policies and spam scores on comments
+// open: anyone signed in; members: the author's followers; moderated: every
+// comment is held for review; closed: no new comments
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS comment_policy VARCHAR(20) NOT NULL DEFAULT 'open';
+
+    ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_comment_policy_check;
+    ALTER TABLE posts
+      ADD CONSTRAINT posts_comment_policy_check
+      CHECK (comment_policy IN ('open', 'members', 'moderated', 'closed'));
+
+    -- Score and triggered checks from the spam pipeline, shown in the moderation queue
+    ALTER TABLE comments
+      ADD COLUMN IF NOT EXISTS spam_score INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS spam_reasons TEXT[] NOT NULL DEFAULT '{}';
+
+    -- Duplicate-text lookups
+    CREATE INDEX IF NOT EXISTS idx_comments_text_md5 ON comments(md5(lower(text)));
+    CREATE INDEX IF NOT EXISTS idx_comments_user_created_at ON comments(user_id, created_at);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_comments_user_created_at;
+    DROP INDEX IF EXISTS idx_comments_text_md5;
+
+    ALTER TABLE comments
+      DROP COLUMN IF EXISTS spam_score,
+      DROP COLUMN IF EXISTS spam_reasons;
+
+    ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_comment_policy_check;
+    ALTER TABLE posts DROP COLUMN IF EXISTS comment_policy;
+  `);
+};
@@ -0,0 +1,22 @@
+// Rate limit counters shared by every instance
+// One row per key (e.g. login:ip:203.0.113.7) and fixed window; the limiter
+// weighs the previous window's count to approximate a sliding window.
+// Expired rows are removed by the scheduler.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_hits (
+      key VARCHAR(255) NOT NULL,
+      window_start BIGINT NOT NULL, -- window number: epoch milliseconds / window length
+      count INTEGER NOT NULL DEFAULT 0,
+      expires_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (key, window_start)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_expires_at ON rate_limit_hits(expires_at);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS rate_limit_hits');
+};
@@ -0,0 +1,38 @@
+// Login attempts and temporary account lockout
+// Every login attempt is recorded; consecutive failures lock the account for a
+// period that doubles with each lockout until a successful login or an admin unlock.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL for unknown emails
+      email VARCHAR(255) NOT NULL,
+      success BOOLEAN NOT NULL,
+      failure_reason VARCHAR(30), -- unknown_email | invalid_password | locked
+      ip VARCHAR(64),
+      user_agent VARCHAR(500),
+      new_ip BOOLEAN NOT NULL DEFAULT false, -- successful login from an IP never used before
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_user_created_at ON login_attempts(user_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_user_ip ON login_attempts(user_id, ip) WHERE success;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS login_attempts;
+
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS failed_login_count,
+      DROP COLUMN IF EXISTS lockout_count,
+      DROP COLUMN IF EXISTS locked_until;
+  `);
+};
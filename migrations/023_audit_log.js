@@ -0,0 +1,46 @@
+// Audit log: who created, changed or deleted what, with before/after snapshots
+// Rows are append-only; a trigger rejects every UPDATE, DELETE and TRUNCATE.
+// actor_id has no foreign key so entries outlive the accounts they mention.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id INTEGER, -- NULL for the system (e.g. scheduled publishing)
+      action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      entity_type VARCHAR(30) NOT NULL, -- post | comment | like | user | upload
+      entity_id VARCHAR(500) NOT NULL,
+      before JSONB,
+      after JSONB,
+      ip VARCHAR(64),
+      request_id VARCHAR(64),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at DESC);
+
+    CREATE OR REPLACE FUNCTION reject_audit_log_change()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+    CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+    DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+    CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_log_change();
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS audit_log;
+    DROP FUNCTION IF EXISTS reject_audit_log_change();
+  `);
+};
@@ -0,0 +1,22 @@
+// Removing a comment never takes other people's replies with it
+// parent_id used to cascade, so a hard delete of a parent (e.g. when its author's
+// account is deleted) wiped the whole thread below it. Replies now stay and
+// move up to the top level instead.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_parent_id_fkey;
+    ALTER TABLE comments
+      ADD CONSTRAINT comments_parent_id_fkey
+      FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE SET NULL;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE comments DROP CONSTRAINT IF EXISTS comments_parent_id_fkey;
+    ALTER TABLE comments
+      ADD CONSTRAINT comments_parent_id_fkey
+      FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE;
+  `);
+};
@@ -0,0 +1,19 @@
+// Remember why a scheduled publish or unpublish failed
+// The scheduler records the error and moves on to the next due post instead of
+// retrying the same broken one on every pass; it is tried again after a back-off.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE posts
+      ADD COLUMN IF NOT EXISTS schedule_error TEXT,
+      ADD COLUMN IF NOT EXISTS schedule_failed_at TIMESTAMPTZ;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE posts
+      DROP COLUMN IF EXISTS schedule_error,
+      DROP COLUMN IF EXISTS schedule_failed_at;
+  `);
+};
@@ -0,0 +1,19 @@
+// When a comment was first shown to readers
+// Comments held on arrival get it when a moderator approves them, which is when
+// their notifications go out; approving a comment that was visible before
+// (held after reports, or hidden) doesn't announce it again.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE comments ADD COLUMN IF NOT EXISTS visible_at TIMESTAMP;
+
+    -- Held comments with reports were visible once; other held ones never were
+    UPDATE comments c SET visible_at = c.created_at
+    WHERE c.visible_at IS NULL
+      AND (c.status <> 'held' OR EXISTS (SELECT 1 FROM comment_reports r WHERE r.comment_id = c.id));
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('ALTER TABLE comments DROP COLUMN IF EXISTS visible_at');
+};
@@ -0,0 +1,101 @@
+import { query } from '../utils/db.js';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+export const AUDIT_ENTITY_TYPES = ['post', 'comment', 'like', 'user', 'upload'];
+
+// How each entity is read for its before/after snapshot (likes and uploads have none)
+const SNAPSHOT_QUERIES = {
+  post: 'SELECT * FROM posts WHERE id = $1',
+  comment: 'SELECT * FROM comments WHERE id = $1',
+  user: `SELECT id, name, email, role, email_verified_at, avatar_url, bio, banned_at, ban_reason, locked_until, created_at, updated_at
+         FROM users WHERE id = $1`
+};
+
+export class AuditLog {
+  // Append an entry (on the transaction's client, when given)
+  static async create({ actorId = null, action, entityType, entityId, before = null, after = null, ip = null, requestId = null }, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `INSERT INTO audit_log (actor_id, action, entity_type, entity_id, before, after, ip, request_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        actorId,
+        action,
+        entityType,
+        String(entityId),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        ip,
+        requestId
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // The stored row of a post, comment or user, or null
+  // Inside a transaction the row is locked until it ends, so the snapshot is
+  // the state the change starts from
+  static async snapshot(entityType, id, client = null) {
+    const sql = SNAPSHOT_QUERIES[entityType];
+    if (!sql) return null;
+
+    const result = client
+      ? await client.query(`${sql} FOR UPDATE`, [id])
+      : await query(sql, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Entries newest first, filtered by actor, entity, action and date range
+  static async findAll({ page = 1, limit = 50, actorId = null, entityType = null, entityId = null, action = null, from = null, to = null }) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    const filters = [
+      ['a.actor_id = $', actorId],
+      ['a.entity_type = $', entityType],
+      ['a.entity_id = $', entityId !== null ? String(entityId) : null],
+      ['a.action = $', action],
+      ['a.created_at >= $', from],
+      ['a.created_at < $', to]
+    ];
+    for (const [condition, value] of filters) {
+      if (value !== null && value !== undefined) {
+        params.push(value);
+        conditions.push(`${condition}${params.length}`);
+      }
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT
+         a.*,
+         u.name as actor_name,
+         u.email as actor_email
+       FROM audit_log a
+       LEFT JOIN users u ON a.actor_id = u.id
+       ${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) FROM audit_log a ${where}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      entries: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default AuditLog;
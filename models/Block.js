@@ -0,0 +1,66 @@
+import { query, getClient } from '../utils/db.js';
+
+export class Block {
+  // Block a user: their posts leave the blocker's feed and follows between the two are removed
+  static async block(blockerId, blockedId) {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO user_blocks (blocker_id, blocked_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [blockerId, blockedId]
+      );
+      await client.query(
+        `DELETE FROM follows
+         WHERE (follower_id = $1 AND followee_id = $2) OR (follower_id = $2 AND followee_id = $1)`,
+        [blockerId, blockedId]
+      );
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async unblock(blockerId, blockedId) {
+    await query(
+      'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+      [blockerId, blockedId]
+    );
+  }
+
+  // Whether either user has blocked the other
+  static async getStatus(userId, otherId) {
+    const result = await query(
+      `SELECT blocker_id FROM user_blocks
+       WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)`,
+      [userId, otherId]
+    );
+
+    return {
+      blocked: result.rows.some(row => row.blocker_id === userId),
+      blockedBy: result.rows.some(row => row.blocker_id === otherId)
+    };
+  }
+
+  // Users blocked by `userId`
+  static async getBlocked(userId) {
+    const result = await query(
+      `SELECT u.id, u.name, u.avatar_url, b.created_at as blocked_at
+       FROM user_blocks b
+       JOIN users u ON u.id = b.blocked_id
+       WHERE b.blocker_id = $1
+       ORDER BY b.created_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+}
+
+export default Block;
@@ -0,0 +1,191 @@
+import { query } from '../utils/db.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Sort orders for bookmark lists (by saved date)
+const BOOKMARK_ORDERS = {
+  newest: 'b.created_at DESC, b.id DESC',
+  oldest: 'b.created_at ASC, b.id ASC'
+};
+
+export const BOOKMARK_ORDER_KEYS = Object.keys(BOOKMARK_ORDERS);
+
+const duplicateCollectionName = (err, name) => {
+  if (err.code === '23505') {
+    return new AppError(`You already have a collection named "${name}"`, 409);
+  }
+  return err;
+};
+
+export class Bookmark {
+  // Save a post, or move an existing bookmark to `collectionId` (null = unfiled)
+  static async save(userId, postId, collectionId = null) {
+    const result = await query(
+      `INSERT INTO bookmarks (user_id, post_id, collection_id) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, post_id) DO UPDATE SET collection_id = EXCLUDED.collection_id
+       RETURNING *`,
+      [userId, postId, collectionId]
+    );
+
+    return result.rows[0];
+  }
+
+  static async remove(userId, postId) {
+    const result = await query(
+      'DELETE FROM bookmarks WHERE user_id = $1 AND post_id = $2 RETURNING id',
+      [userId, postId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // A user's bookmarked posts that are currently published
+  // `collectionId`: undefined = all, null = unfiled only, id = that collection
+  static async findByUser(userId, { page = 1, limit = 10, collectionId, order = 'newest' }) {
+    const offset = (page - 1) * limit;
+    const params = [userId];
+    let collectionCondition = '';
+
+    if (collectionId === null) {
+      collectionCondition = 'AND b.collection_id IS NULL';
+    } else if (collectionId !== undefined) {
+      params.push(collectionId);
+      collectionCondition = `AND b.collection_id = $${params.length}`;
+    }
+
+    const result = await query(
+      `SELECT
+         p.*,
+         u.name as author_name,
+         u.avatar_url as author_avatar,
+         b.created_at as bookmarked_at,
+         b.collection_id,
+         (SELECT COUNT(*) FROM likes l WHERE l.post_id = p.id) as likes_count,
+         (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL AND c.status = 'visible') as comments_count
+       FROM bookmarks b
+       JOIN posts p ON b.post_id = p.id
+       JOIN users u ON p.user_id = u.id
+       WHERE b.user_id = $1 AND p.published = true ${collectionCondition}
+       ORDER BY ${BOOKMARK_ORDERS[order] || BOOKMARK_ORDERS.newest}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM bookmarks b
+       JOIN posts p ON b.post_id = p.id
+       WHERE b.user_id = $1 AND p.published = true ${collectionCondition}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      posts: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // A user's collections with their number of visible bookmarks
+  static async findCollections(userId) {
+    const result = await query(
+      `SELECT
+         bc.*,
+         (SELECT COUNT(*) FROM bookmarks b JOIN posts p ON b.post_id = p.id
+          WHERE b.collection_id = bc.id AND p.published = true)::int as bookmarks_count
+       FROM bookmark_collections bc
+       WHERE bc.user_id = $1
+       ORDER BY lower(bc.name)`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Find a collection owned by `userId`
+  static async findCollection(id, userId) {
+    const result = await query(
+      'SELECT * FROM bookmark_collections WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    return result.rows[0];
+  }
+
+  static async createCollection(userId, { name, description = null }) {
+    try {
+      const result = await query(
+        `INSERT INTO bookmark_collections (user_id, name, description)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [userId, name, description]
+      );
+
+      return result.rows[0];
+    } catch (err) {
+      throw duplicateCollectionName(err, name);
+    }
+  }
+
+  static async updateCollection(id, userId, { name, description }) {
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramCount}`);
+      values.push(name);
+      paramCount++;
+    }
+
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount}`);
+      values.push(description);
+      paramCount++;
+    }
+
+    if (updates.length === 0) {
+      throw new AppError('No fields to update', 400);
+    }
+
+    values.push(id, userId);
+
+    try {
+      const result = await query(
+        `UPDATE bookmark_collections
+         SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Collection not found', 404);
+      }
+
+      return result.rows[0];
+    } catch (err) {
+      throw duplicateCollectionName(err, name);
+    }
+  }
+
+  // Delete a collection; its bookmarks are kept, unfiled
+  static async deleteCollection(id, userId) {
+    const result = await query(
+      'DELETE FROM bookmark_collections WHERE id = $1 AND user_id = $2 RETURNING id',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Collection not found', 404);
+    }
+
+    return true;
+  }
+}
+
+export default Bookmark;
@@ -1,45 +1,199 @@
-import { query } from '../utils/db.js';
+import { query, getClient } from '../utils/db.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { renderCommentText } from '../utils/markdown.js';
+
+// Text shown in place of a deleted comment that still has replies
+export const DELETED_PLACEHOLDER = '[deleted]';
+
+// Hide author details of deleted placeholders
+const presentComment = (row) => {
+  if (!row.deleted_at) {
+    return row;
+  }
+
+  return {
+    ...row,
+    text: DELETED_PLACEHOLDER,
+    text_html: null,
+    user_id: null,
+    user_name: null,
+    user_avatar: null
+  };
+};
+
+// Comment fields anyone may see; spam scoring stays in the moderation queue
+const PUBLIC_FIELDS = ['id', 'post_id', 'user_id', 'parent_id', 'text', 'text_html', 'status', 'deleted_at', 'created_at'];
+const PUBLIC_COLUMNS = PUBLIC_FIELDS.map(field => `c.${field}`).join(', ');
+
+// Columns shared by the comment list queries
+const COMMENT_COLUMNS = `
+  ${PUBLIC_COLUMNS},
+  u.name as user_name,
+  u.avatar_url as user_avatar,
+  (SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id AND r.status = 'visible')::int as reply_count
+`;
 
 export class Comment {
-  // Create a new comment
-  static async create({ postId, userId, text }) {
-    const result = await query(
-      `INSERT INTO comments (post_id, user_id, text) 
-       VALUES ($1, $2, $3) 
+  // Create a new comment (or a reply when parentId is given)
+  // `text` is Markdown; the sanitized rendering is stored as text_html
+  // Comments held by the spam checks or a pre-moderated post start as 'held'
+  static async create({ postId, userId, text, parentId = null, status = 'visible', spamScore = 0, spamReasons = [] }, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `INSERT INTO comments (post_id, user_id, text, text_html, parent_id, status, spam_score, spam_reasons, visible_at) 
+       VALUES ($1, $2, $3, $4, $5, $6::varchar, $7, $8, CASE WHEN $6::varchar = 'visible' THEN CURRENT_TIMESTAMP END) 
        RETURNING *`,
-      [postId, userId, text]
+      [postId, userId, text, renderCommentText(text), parentId, status, spamScore, spamReasons]
     );
 
     return result.rows[0];
   }
 
-  // Get comments for a post
-  static async findByPostId(postId, { page = 1, limit = 20 }) {
+  // Comments with the same text (ignoring case) on other posts in the last `hours`
+  static async countDuplicates(text, { userId, excludePostId, hours = 24 }) {
+    const result = await query(
+      `SELECT 
+         COUNT(*) FILTER (WHERE user_id = $2)::int as by_user,
+         COUNT(*)::int as total
+       FROM comments
+       WHERE md5(lower(text)) = md5(lower($1))
+         AND post_id <> $3
+         AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $4)`,
+      [text, userId, excludePostId, hours]
+    );
+
+    return { byUser: result.rows[0].by_user, total: result.rows[0].total };
+  }
+
+  // Comments a user wrote in the last `minutes`
+  static async countRecentByUser(userId, { minutes = 60 }) {
+    const result = await query(
+      `SELECT COUNT(*)::int as count FROM comments
+       WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)`,
+      [userId, minutes]
+    );
+
+    return result.rows[0].count;
+  }
+
+  // Get comment threads for a post
+  // Top-level comments are paginated; replies are nested up to `depth` levels
+  // with at most `replyLimit` replies per comment (the rest via findReplies).
+  // Held and hidden comments are left out, along with the replies under them.
+  static async findByPostId(postId, { page = 1, limit = 20, depth = 3, replyLimit = 3 }) {
     const offset = (page - 1) * limit;
 
     const result = await query(
       `SELECT 
-         c.*,
-         u.name as user_name,
-         u.avatar_url as user_avatar
+         ${COMMENT_COLUMNS},
+         (WITH RECURSIVE thread AS (
+            SELECT id FROM comments WHERE parent_id = c.id AND status = 'visible'
+            UNION ALL
+            SELECT t.id FROM comments t JOIN thread ON t.parent_id = thread.id WHERE t.status = 'visible'
+          ) SELECT COUNT(*) FROM thread)::int as thread_reply_count
        FROM comments c
        JOIN users u ON c.user_id = u.id
-       WHERE c.post_id = $1
+       WHERE c.post_id = $1 AND c.parent_id IS NULL AND c.status = 'visible'
        ORDER BY c.created_at ASC
        LIMIT $2 OFFSET $3`,
       [postId, limit, offset]
     );
 
     const countResult = await query(
-      'SELECT COUNT(*) FROM comments WHERE post_id = $1',
+      "SELECT COUNT(*) FROM comments WHERE post_id = $1 AND parent_id IS NULL AND status = 'visible'",
       [postId]
     );
 
     const total = parseInt(countResult.rows[0].count);
 
+    const comments = result.rows.map(presentComment);
+    await this.attachReplies(comments, { depth, replyLimit });
+
     return {
-      comments: result.rows,
+      comments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Nest the first replies of each comment, one level per query
+  static async attachReplies(comments, { depth, replyLimit }) {
+    let level = comments;
+
+    for (let currentDepth = 1; currentDepth <= depth && level.length > 0; currentDepth++) {
+      const byId = new Map(level.map(comment => [comment.id, comment]));
+
+      const result = await query(
+        `SELECT * FROM (
+           SELECT 
+             ${COMMENT_COLUMNS},
+             ROW_NUMBER() OVER (PARTITION BY c.parent_id ORDER BY c.created_at ASC) as position
+           FROM comments c
+           JOIN users u ON c.user_id = u.id
+           WHERE c.parent_id = ANY($1) AND c.status = 'visible'
+         ) replies
+         WHERE position <= $2
+         ORDER BY created_at ASC`,
+        [[...byId.keys()], replyLimit]
+      );
+
+      for (const comment of level) {
+        comment.replies = [];
+      }
+
+      const nextLevel = [];
+      for (const row of result.rows) {
+        const { position, ...reply } = row;
+        const presented = presentComment(reply);
+        byId.get(reply.parent_id).replies.push(presented);
+        nextLevel.push(presented);
+      }
+
+      for (const comment of level) {
+        comment.has_more_replies = comment.reply_count > comment.replies.length;
+      }
+
+      level = nextLevel;
+    }
+
+    // Comments beyond the depth limit only report their counts
+    for (const comment of level) {
+      comment.replies = [];
+      comment.has_more_replies = comment.reply_count > 0;
+    }
+  }
+
+  // Get direct replies to a comment ("load more replies")
+  static async findReplies(parentId, { page = 1, limit = 20 }) {
+    const offset = (page - 1) * limit;
+
+    const result = await query(
+      `SELECT 
+         ${COMMENT_COLUMNS}
+       FROM comments c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.parent_id = $1 AND c.status = 'visible'
+       ORDER BY c.created_at ASC
+       LIMIT $2 OFFSET $3`,
+      [parentId, limit, offset]
+    );
+
+    const countResult = await query(
+      "SELECT COUNT(*) FROM comments WHERE parent_id = $1 AND status = 'visible'",
+      [parentId]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      replies: result.rows.map(reply => ({
+        ...presentComment(reply),
+        has_more_replies: reply.reply_count > 0
+      })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -50,26 +204,27 @@ export class Comment {
   }
 
   // Find comment by ID
-  static async findById(id) {
+  // `moderation` adds the spam score and reasons, for moderators only
+  static async findById(id, { moderation = false } = {}) {
     const result = await query(
       `SELECT 
-         c.*,
-         u.name as user_name,
-         u.avatar_url as user_avatar
+         ${COMMENT_COLUMNS}
+         ${moderation ? ', c.spam_score, c.spam_reasons' : ''}
        FROM comments c
        JOIN users u ON c.user_id = u.id
        WHERE c.id = $1`,
       [id]
     );
 
-    return result.rows[0] || null;
+    return result.rows[0] ? presentComment(result.rows[0]) : null;
   }
 
   // Update comment
-  static async update(id, { text }) {
-    const result = await query(
-      'UPDATE comments SET text = $1 WHERE id = $2 RETURNING *',
-      [text, id]
+  static async update(id, { text }, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `UPDATE comments c SET text = $1, text_html = $2 WHERE id = $3 AND deleted_at IS NULL RETURNING ${PUBLIC_COLUMNS}`,
+      [text, renderCommentText(text), id]
     );
 
     if (result.rows.length === 0) {
@@ -80,17 +235,65 @@ export class Comment {
   }
 
   // Delete comment
-  static async delete(id) {
-    const result = await query(
-      'DELETE FROM comments WHERE id = $1 RETURNING id',
-      [id]
-    );
+  // Comments with replies become "[deleted]" placeholders so the thread survives;
+  // placeholders left without replies are removed as well
+  static async delete(id, client = null) {
+    const ownClient = !client;
+    const db = client || await getClient();
 
-    if (result.rows.length === 0) {
-      throw new AppError('Comment not found', 404);
-    }
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      // The row lock holds off new replies until we have decided between
+      // keeping a placeholder and deleting the row
+      const result = await db.query(
+        `SELECT c.id, c.post_id, c.parent_id, c.deleted_at,
+           EXISTS (SELECT 1 FROM comments r WHERE r.parent_id = c.id) as has_replies
+         FROM comments c
+         WHERE c.id = $1
+         FOR UPDATE`,
+        [id]
+      );
+
+      const comment = result.rows[0];
+      if (!comment || comment.deleted_at) {
+        throw new AppError('Comment not found', 404);
+      }
+
+      let placeholder = false;
+      if (comment.has_replies) {
+        await db.query(
+          'UPDATE comments SET text = $1, text_html = NULL, deleted_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [DELETED_PLACEHOLDER, id]
+        );
+        placeholder = true;
+      } else {
+        await db.query('DELETE FROM comments WHERE id = $1', [id]);
 
-    return true;
+        // Prune placeholder ancestors that no longer have any replies
+        let parentId = comment.parent_id;
+        while (parentId) {
+          const pruned = await db.query(
+            `DELETE FROM comments c
+             WHERE c.id = $1
+               AND c.deleted_at IS NOT NULL
+               AND NOT EXISTS (SELECT 1 FROM comments r WHERE r.parent_id = c.id)
+             RETURNING parent_id`,
+            [parentId]
+          );
+          parentId = pruned.rows[0]?.parent_id || null;
+        }
+      }
+
+      if (ownClient) await db.query('COMMIT');
+
+      return { placeholder, postId: comment.post_id };
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
   }
 
   // Get user's comments
@@ -99,19 +302,19 @@ export class Comment {
 
     const result = await query(
       `SELECT 
-         c.*,
+         ${PUBLIC_COLUMNS},
          p.title as post_title,
          p.slug as post_slug
        FROM comments c
        JOIN posts p ON c.post_id = p.id
-       WHERE c.user_id = $1
+       WHERE c.user_id = $1 AND c.deleted_at IS NULL
        ORDER BY c.created_at DESC
        LIMIT $2 OFFSET $3`,
       [userId, limit, offset]
     );
 
     const countResult = await query(
-      'SELECT COUNT(*) FROM comments WHERE user_id = $1',
+      'SELECT COUNT(*) FROM comments WHERE user_id = $1 AND deleted_at IS NULL',
       [userId]
     );
 
@@ -134,7 +337,7 @@ export class Comment {
     
     const result = await query(
       `SELECT 
-         c.*,
+         ${PUBLIC_COLUMNS},
          u.name as user_name,
          u.avatar_url as user_avatar,
          p.title as post_title,
@@ -142,7 +345,7 @@ export class Comment {
        FROM comments c
        JOIN users u ON c.user_id = u.id
        JOIN posts p ON c.post_id = p.id
-       WHERE p.published = true
+       WHERE p.published = true AND c.deleted_at IS NULL AND c.status = 'visible'
        ORDER BY c.created_at DESC
        LIMIT $1 OFFSET $2`,
       [limit, offset]
@@ -153,7 +356,7 @@ export class Comment {
       `SELECT COUNT(*) as count
        FROM comments c
        JOIN posts p ON c.post_id = p.id
-       WHERE p.published = true`
+       WHERE p.published = true AND c.deleted_at IS NULL AND c.status = 'visible'`
     );
 
     const total = parseInt(countResult.rows[0].count);
@@ -0,0 +1,125 @@
+import { query } from '../utils/db.js';
+
+const paginate = (rows, total, page, limit) => ({
+  users: rows,
+  pagination: {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    total,
+    pages: Math.ceil(total / limit)
+  }
+});
+
+export class Follow {
+  // Follow an author (no-op if already following)
+  static async follow(followerId, followeeId) {
+    await query(
+      `INSERT INTO follows (follower_id, followee_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [followerId, followeeId]
+    );
+  }
+
+  static async unfollow(followerId, followeeId) {
+    await query(
+      'DELETE FROM follows WHERE follower_id = $1 AND followee_id = $2',
+      [followerId, followeeId]
+    );
+  }
+
+  static async isFollowing(followerId, followeeId) {
+    if (!followerId) return false;
+
+    const result = await query(
+      'SELECT 1 FROM follows WHERE follower_id = $1 AND followee_id = $2',
+      [followerId, followeeId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Number of followers and followed authors of a user
+  static async getCounts(userId) {
+    const result = await query(
+      `SELECT
+         (SELECT COUNT(*) FROM follows WHERE followee_id = $1) as followers_count,
+         (SELECT COUNT(*) FROM follows WHERE follower_id = $1) as following_count`,
+      [userId]
+    );
+
+    return {
+      followers_count: parseInt(result.rows[0].followers_count),
+      following_count: parseInt(result.rows[0].following_count)
+    };
+  }
+
+  // Users following `userId`, most recent first
+  static async getFollowers(userId, { page = 1, limit = 20 }) {
+    const offset = (page - 1) * limit;
+
+    const result = await query(
+      `SELECT u.id, u.name, u.avatar_url, u.bio, f.created_at as followed_at
+       FROM follows f
+       JOIN users u ON u.id = f.follower_id
+       WHERE f.followee_id = $1
+       ORDER BY f.created_at DESC, u.id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    const countResult = await query('SELECT COUNT(*) FROM follows WHERE followee_id = $1', [userId]);
+
+    return paginate(result.rows, parseInt(countResult.rows[0].count), page, limit);
+  }
+
+  // Authors `userId` follows, most recent first
+  static async getFollowing(userId, { page = 1, limit = 20 }) {
+    const offset = (page - 1) * limit;
+
+    const result = await query(
+      `SELECT u.id, u.name, u.avatar_url, u.bio, f.created_at as followed_at
+       FROM follows f
+       JOIN users u ON u.id = f.followee_id
+       WHERE f.follower_id = $1
+       ORDER BY f.created_at DESC, u.id DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    const countResult = await query('SELECT COUNT(*) FROM follows WHERE follower_id = $1', [userId]);
+
+    return paginate(result.rows, parseInt(countResult.rows[0].count), page, limit);
+  }
+
+  // Follow a tag (its posts appear in the home feed)
+  static async followTag(userId, tagId) {
+    await query(
+      `INSERT INTO tag_follows (user_id, tag_id) VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [userId, tagId]
+    );
+  }
+
+  static async unfollowTag(userId, tagId) {
+    await query(
+      'DELETE FROM tag_follows WHERE user_id = $1 AND tag_id = $2',
+      [userId, tagId]
+    );
+  }
+
+  // Tags a user follows, alphabetically
+  static async getFollowedTags(userId) {
+    const result = await query(
+      `SELECT t.id, t.name, t.slug, tf.created_at as followed_at
+       FROM tag_follows tf
+       JOIN tags t ON t.id = tf.tag_id
+       WHERE tf.user_id = $1
+       ORDER BY t.name`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+}
+
+export default Follow;
@@ -3,23 +3,25 @@ import { AppError } from '../middleware/errorHandler.js';
 
 export class Like {
   // Toggle like on a post (like if not liked, unlike if already liked)
-  static async toggle(postId, userId) {
+  static async toggle(postId, userId, client = null) {
+    const db = client ? client.query.bind(client) : query;
+
     // Check if user already liked the post
-    const existingLike = await query(
+    const existingLike = await db(
       'SELECT id FROM likes WHERE post_id = $1 AND user_id = $2',
       [postId, userId]
     );
 
     if (existingLike.rows.length > 0) {
       // Unlike the post
-      await query(
+      await db(
         'DELETE FROM likes WHERE post_id = $1 AND user_id = $2',
         [postId, userId]
       );
       return { liked: false, action: 'unliked' };
     } else {
       // Like the post
-      await query(
+      await db(
         'INSERT INTO likes (post_id, user_id) VALUES ($1, $2)',
         [postId, userId]
       );
@@ -101,7 +103,7 @@ export class Like {
        JOIN posts p ON l.post_id = p.id
        JOIN users u ON p.user_id = u.id
        LEFT JOIN likes pl ON p.id = pl.post_id
-       LEFT JOIN comments c ON p.id = c.post_id
+       LEFT JOIN comments c ON p.id = c.post_id AND c.deleted_at IS NULL AND c.status = 'visible'
        WHERE l.user_id = $1 AND p.published = true
        GROUP BY p.id, u.name, u.avatar_url, l.created_at
        ORDER BY l.created_at DESC
@@ -158,7 +160,7 @@ export class Like {
        FROM posts p
        JOIN users u ON p.user_id = u.id
        LEFT JOIN likes l ON p.id = l.post_id
-       LEFT JOIN comments c ON p.id = c.post_id
+       LEFT JOIN comments c ON p.id = c.post_id AND c.deleted_at IS NULL AND c.status = 'visible'
        ${whereClause}
        GROUP BY p.id, u.name, u.avatar_url
        HAVING COUNT(DISTINCT l.id) > 0
@@ -0,0 +1,68 @@
+import { query } from '../utils/db.js';
+
+const DEFAULT_MAX_FAILURES = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const DEFAULT_LOCKOUT_MAX_MINUTES = 24 * 60;
+const DEFAULT_RETENTION_DAYS = 90;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Failed logins in a row that lock an account (0 = never), and for how long
+// The first lockout lasts LOGIN_LOCKOUT_MINUTES; each one after that doubles, up to the maximum
+export const getLockoutPolicy = () => ({
+  maxFailures: Math.max(0, envInt('LOGIN_MAX_FAILURES', DEFAULT_MAX_FAILURES)),
+  baseMinutes: Math.max(1, envInt('LOGIN_LOCKOUT_MINUTES', DEFAULT_LOCKOUT_MINUTES)),
+  maxMinutes: Math.max(1, envInt('LOGIN_LOCKOUT_MAX_MINUTES', DEFAULT_LOCKOUT_MAX_MINUTES))
+});
+
+// How long login history is kept
+export const getLoginHistoryRetentionDays = () => Math.max(1, envInt('LOGIN_HISTORY_RETENTION_DAYS', DEFAULT_RETENTION_DAYS));
+
+export class LoginAttempt {
+  // Record a login attempt
+  // A successful login is flagged `new_ip` when the account has signed in
+  // before, but never from this IP
+  static async record({ userId = null, email, success, failureReason = null, ip = null, userAgent = null }) {
+    const result = await query(
+      `INSERT INTO login_attempts (user_id, email, success, failure_reason, ip, user_agent, new_ip)
+       SELECT $1::int, $2::varchar, $3::boolean, $4::varchar, $5::varchar, $6::varchar,
+         $3::boolean AND $1::int IS NOT NULL
+           AND EXISTS (SELECT 1 FROM login_attempts WHERE user_id = $1 AND success)
+           AND NOT EXISTS (SELECT 1 FROM login_attempts WHERE user_id = $1 AND success AND ip = $5)
+       RETURNING *`,
+      [userId, email, success, failureReason, ip, userAgent?.slice(0, 500) || null]
+    );
+
+    return result.rows[0];
+  }
+
+  // A user's most recent login attempts, newest first
+  static async findByUser(userId, { limit = 10 } = {}) {
+    const result = await query(
+      `SELECT id, success, failure_reason, ip, user_agent, new_ip, created_at
+       FROM login_attempts
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+
+    return result.rows;
+  }
+
+  // Remove attempts older than `days`
+  static async deleteOlderThan(days) {
+    const result = await query(
+      `DELETE FROM login_attempts
+       WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [days]
+    );
+
+    return result.rowCount;
+  }
+}
+
+export default LoginAttempt;
@@ -0,0 +1,356 @@
+import { query, getClient } from '../utils/db.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { hasPermission } from '../utils/permissions.js';
+import { Comment } from './Comment.js';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'misinformation', 'off_topic', 'other'];
+
+// Actions a moderator can take on a comment
+export const COMMENT_ACTIONS = ['approve', 'hide', 'delete', 'ban'];
+
+// Every action recorded in moderation_actions ("hold" and "reject" are taken automatically)
+export const MODERATION_ACTIONS = [...COMMENT_ACTIONS, 'unban', 'hold', 'reject'];
+
+const DEFAULT_REPORT_HOLD_THRESHOLD = 3;
+
+// Open reports that move a visible comment to the queue as "held" (0 = never)
+export const getReportHoldThreshold = () => {
+  const threshold = parseInt(process.env.COMMENT_REPORT_HOLD_THRESHOLD);
+  return Number.isNaN(threshold) ? DEFAULT_REPORT_HOLD_THRESHOLD : Math.max(0, threshold);
+};
+
+// Comment status after each action
+const ACTION_STATUS = {
+  approve: 'visible',
+  hide: 'hidden',
+  ban: 'hidden'
+};
+
+// Which comments each queue filter shows
+const QUEUE_FILTERS = {
+  open: "(c.status = 'held' OR r.report_count > 0)",
+  reported: 'r.report_count > 0',
+  held: "c.status = 'held'",
+  hidden: "c.status = 'hidden'"
+};
+
+export const QUEUE_STATUSES = Object.keys(QUEUE_FILTERS);
+
+const recordAction = (db, { action, commentId = null, targetUserId = null, moderatorId = null, reason = null, commentText = null }) => {
+  return db.query(
+    `INSERT INTO moderation_actions (action, comment_id, target_user_id, moderator_id, reason, comment_text)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [action, commentId, targetUserId, moderatorId, reason, commentText]
+  );
+};
+
+export class Moderation {
+  // Report a comment; enough open reports hold it for review
+  static async report({ commentId, userId, reason, details = null }, client = null) {
+    const ownClient = !client;
+    const db = client || await getClient();
+
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      const comment = await db.query(
+        'SELECT id, post_id, user_id, text, status FROM comments WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [commentId]
+      );
+      if (comment.rows.length === 0 || comment.rows[0].status === 'hidden') {
+        throw new AppError('Comment not found', 404);
+      }
+      if (comment.rows[0].user_id === userId) {
+        throw new AppError('You cannot report your own comment', 400);
+      }
+
+      const result = await db.query(
+        `INSERT INTO comment_reports (comment_id, user_id, reason, details)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (comment_id, user_id) DO NOTHING
+         RETURNING *`,
+        [commentId, userId, reason, details]
+      );
+      if (result.rows.length === 0) {
+        throw new AppError('You have already reported this comment', 409);
+      }
+
+      const countResult = await db.query(
+        'SELECT COUNT(*)::int as count FROM comment_reports WHERE comment_id = $1 AND resolved_at IS NULL',
+        [commentId]
+      );
+      const reportCount = countResult.rows[0].count;
+
+      const threshold = getReportHoldThreshold();
+      const held = threshold > 0 && reportCount >= threshold && comment.rows[0].status === 'visible';
+      if (held) {
+        await db.query("UPDATE comments SET status = 'held' WHERE id = $1", [commentId]);
+        await recordAction(db, {
+          action: 'hold',
+          commentId,
+          targetUserId: comment.rows[0].user_id,
+          reason: `Held automatically after ${reportCount} reports`,
+          commentText: comment.rows[0].text
+        });
+      }
+
+      if (ownClient) await db.query('COMMIT');
+      return { report: result.rows[0], postId: comment.rows[0].post_id, reportCount, held };
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
+  }
+
+  // Record an automatic action: a comment held on arrival or rejected as spam
+  static async logAction(fields, client = null) {
+    const result = await recordAction(client || { query }, fields);
+    return result.rows[0];
+  }
+
+  // Comments waiting for a moderator, most reported first
+  static async findQueue({ page = 1, limit = 20, status = 'open' }) {
+    const offset = (page - 1) * limit;
+    const filter = QUEUE_FILTERS[status] || QUEUE_FILTERS.open;
+
+    const from = `
+      FROM comments c
+      JOIN users u ON c.user_id = u.id
+      JOIN posts p ON c.post_id = p.id
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*)::int as report_count, MAX(created_at) as last_reported_at
+        FROM comment_reports
+        WHERE comment_id = c.id AND resolved_at IS NULL
+      ) r ON true
+      WHERE c.deleted_at IS NULL AND ${filter}
+    `;
+
+    const result = await query(
+      `SELECT
+         c.id, c.post_id, c.user_id, c.parent_id, c.text, c.text_html, c.status, c.spam_score, c.spam_reasons, c.created_at,
+         u.name as user_name,
+         u.avatar_url as user_avatar,
+         u.banned_at as user_banned_at,
+         p.title as post_title,
+         p.slug as post_slug,
+         r.report_count,
+         r.last_reported_at,
+         (SELECT json_object_agg(reason, count) FROM (
+            SELECT reason, COUNT(*)::int as count
+            FROM comment_reports
+            WHERE comment_id = c.id AND resolved_at IS NULL
+            GROUP BY reason
+          ) reasons) as report_reasons
+       ${from}
+       ORDER BY r.report_count DESC, COALESCE(r.last_reported_at, c.created_at) ASC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) ${from}`);
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      comments: result.rows.map(row => ({ ...row, report_reasons: row.report_reasons || {} })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Every report on a comment, newest first
+  static async findReports(commentId) {
+    const result = await query(
+      `SELECT
+         r.*,
+         u.name as user_name
+       FROM comment_reports r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.comment_id = $1
+       ORDER BY r.created_at DESC`,
+      [commentId]
+    );
+
+    return result.rows;
+  }
+
+  // Approve, hide or delete a comment, or hide it and ban its author
+  // Resolves the comment's open reports and records the action in one transaction
+  static async moderateComment(commentId, { action, moderator, reason = null }, client = null) {
+    const ownClient = !client;
+    const db = client || await getClient();
+
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      const result = await db.query(
+        `SELECT c.id, c.post_id, c.user_id, c.text, c.status, c.visible_at, u.role as user_role
+         FROM comments c
+         JOIN users u ON c.user_id = u.id
+         WHERE c.id = $1 AND c.deleted_at IS NULL
+         FOR UPDATE OF c`,
+        [commentId]
+      );
+
+      const comment = result.rows[0];
+      if (!comment) {
+        throw new AppError('Comment not found', 404);
+      }
+
+      if (action === 'ban') {
+        if (comment.user_id === moderator.id) {
+          throw new AppError('You cannot ban yourself', 400);
+        }
+        if (hasPermission(comment.user_role, 'comment:moderate')) {
+          throw new AppError('Moderators cannot be banned', 403);
+        }
+      }
+
+      await db.query(
+        'UPDATE comment_reports SET resolved_at = CURRENT_TIMESTAMP WHERE comment_id = $1 AND resolved_at IS NULL',
+        [commentId]
+      );
+
+      const logged = await recordAction(db, {
+        action,
+        commentId,
+        targetUserId: comment.user_id,
+        moderatorId: moderator.id,
+        reason,
+        commentText: comment.text
+      });
+
+      let placeholder = false;
+      if (action === 'delete') {
+        ({ placeholder } = await Comment.delete(commentId, db));
+      } else {
+        await db.query(
+          `UPDATE comments SET status = $1::varchar, 
+             visible_at = CASE WHEN $1::varchar = 'visible' THEN COALESCE(visible_at, CURRENT_TIMESTAMP) ELSE visible_at END 
+           WHERE id = $2`,
+          [ACTION_STATUS[action], commentId]
+        );
+      }
+
+      if (action === 'ban') {
+        await db.query(
+          `UPDATE users SET banned_at = COALESCE(banned_at, CURRENT_TIMESTAMP), ban_reason = $1
+           WHERE id = $2`,
+          [reason, comment.user_id]
+        );
+      }
+
+      if (ownClient) await db.query('COMMIT');
+
+      return {
+        action: logged.rows[0],
+        postId: comment.post_id,
+        previousStatus: comment.status,
+        status: action === 'delete' ? null : ACTION_STATUS[action],
+        // Approved for the first time: it has never been shown or announced
+        firstShown: action === 'approve' && !comment.visible_at,
+        placeholder
+      };
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
+  }
+
+  // Lift a commenting ban
+  static async unbanUser(userId, { moderator, reason = null }, client = null) {
+    const ownClient = !client;
+    const db = client || await getClient();
+
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      const result = await db.query(
+        `UPDATE users SET banned_at = NULL, ban_reason = NULL
+         WHERE id = $1 AND banned_at IS NOT NULL
+         RETURNING id, name, email, role, created_at`,
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        const exists = await db.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+        throw exists.rows.length === 0
+          ? new AppError('User not found', 404)
+          : new AppError('User is not banned', 400);
+      }
+
+      const logged = await recordAction(db, {
+        action: 'unban',
+        targetUserId: userId,
+        moderatorId: moderator.id,
+        reason
+      });
+
+      if (ownClient) await db.query('COMMIT');
+      return { user: result.rows[0], action: logged.rows[0] };
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
+  }
+
+  // The moderation log, newest first, optionally for one comment, moderator, commenter or action
+  static async findActions({ page = 1, limit = 20, commentId = null, moderatorId = null, userId = null, action = null }) {
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    const filters = {
+      'a.comment_id': commentId,
+      'a.moderator_id': moderatorId,
+      'a.target_user_id': userId,
+      'a.action': action
+    };
+    for (const [column, value] of Object.entries(filters)) {
+      if (value !== null && value !== undefined) {
+        params.push(value);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT
+         a.*,
+         m.name as moderator_name,
+         t.name as target_user_name
+       FROM moderation_actions a
+       LEFT JOIN users m ON a.moderator_id = m.id
+       LEFT JOIN users t ON a.target_user_id = t.id
+       ${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) FROM moderation_actions a ${where}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      actions: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default Moderation;
@@ -0,0 +1,207 @@
+import { query } from '../utils/db.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const NOTIFICATION_TYPES = ['comment', 'reply', 'like', 'follow'];
+
+// Types where the same actor only ever notifies once per group (liking again after
+// unliking, or re-following, does not notify again)
+const ONCE_PER_ACTOR_TYPES = ['like', 'follow'];
+
+// Notifications about the same thing are grouped together
+const groupKeyFor = ({ type, postId, parentId }) => {
+  switch (type) {
+    case 'like':
+      return `like:post:${postId}`;
+    case 'comment':
+      return `comment:post:${postId}`;
+    case 'reply':
+      return `reply:comment:${parentId}`;
+    default:
+      return type;
+  }
+};
+
+const MESSAGES = {
+  like: 'liked your post',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  follow: 'started following you'
+};
+
+// "Ann liked your post", "Ann and Bob ...", "Ann and 11 others ..."
+const describeGroup = (group) => {
+  const [first, second] = group.actors;
+  let who = first?.name || 'Someone';
+
+  if (group.actor_count === 2 && second) {
+    who = `${first.name} and ${second.name}`;
+  } else if (group.actor_count > 2) {
+    who = `${who} and ${group.actor_count - 1} others`;
+  }
+
+  return `${who} ${MESSAGES[group.type]}`;
+};
+
+export class Notification {
+  // Record a notification for `userId` about `actorId`'s action
+  // Nothing is stored for the user's own actions, muted types or actors they blocked
+  static async create({ userId, type, actorId, postId = null, commentId = null, parentId = null }) {
+    const groupKey = groupKeyFor({ type, postId, parentId });
+    const oncePerActor = ONCE_PER_ACTOR_TYPES.includes(type);
+
+    const result = await query(
+      `INSERT INTO notifications (user_id, type, actor_id, post_id, comment_id, group_key)
+       SELECT $1::int, $2::varchar, $3::int, $4::int, $5::int, $6::varchar
+       WHERE $1 <> $3
+         AND NOT EXISTS (
+           SELECT 1 FROM notification_preferences np
+           WHERE np.user_id = $1 AND np.type = $2 AND np.enabled = false
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks b WHERE b.blocker_id = $1 AND b.blocked_id = $3
+         )
+         AND NOT ($7::boolean AND EXISTS (
+           SELECT 1 FROM notifications n
+           WHERE n.user_id = $1 AND n.group_key = $6 AND n.actor_id = $3
+         ))
+       RETURNING *`,
+      [userId, type, actorId, postId, commentId, groupKey, oncePerActor]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // A user's notifications, grouped, newest activity first
+  // Read and unread notifications of the same group are listed separately
+  static async findByUser(userId, { page = 1, limit = 20, unreadOnly = false }) {
+    const offset = (page - 1) * limit;
+    const unreadCondition = unreadOnly ? 'AND n.read_at IS NULL' : '';
+
+    const result = await query(
+      `WITH groups AS (
+         SELECT
+           MAX(n.id) as id,
+           n.group_key,
+           n.type,
+           n.post_id,
+           n.read_at IS NOT NULL as read,
+           COUNT(*)::int as count,
+           COUNT(DISTINCT n.actor_id)::int as actor_count,
+           (array_agg(n.comment_id ORDER BY n.created_at DESC, n.id DESC))[1] as comment_id,
+           MAX(n.created_at) as latest_at
+         FROM notifications n
+         WHERE n.user_id = $1 ${unreadCondition}
+         GROUP BY n.group_key, n.type, n.post_id, n.read_at IS NOT NULL
+         ORDER BY latest_at DESC, id DESC
+         LIMIT $2 OFFSET $3
+       )
+       SELECT
+         g.*,
+         CASE WHEN p.id IS NULL THEN NULL
+           ELSE json_build_object('id', p.id, 'title', p.title, 'slug', p.slug) END as post,
+         (SELECT COALESCE(json_agg(a), '[]'::json) FROM (
+            SELECT u.id, u.name, u.avatar_url
+            FROM notifications n2
+            JOIN users u ON u.id = n2.actor_id
+            WHERE n2.user_id = $1 AND n2.group_key = g.group_key
+              AND (n2.read_at IS NOT NULL) = g.read
+            GROUP BY u.id, u.name, u.avatar_url
+            ORDER BY MAX(n2.created_at) DESC
+            LIMIT 3
+          ) a) as actors
+       FROM groups g
+       LEFT JOIN posts p ON p.id = g.post_id
+       ORDER BY g.latest_at DESC, g.id DESC`,
+      [userId, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM (
+         SELECT 1 FROM notifications n
+         WHERE n.user_id = $1 ${unreadCondition}
+         GROUP BY n.group_key, n.type, n.post_id, n.read_at IS NOT NULL
+       ) groups`,
+      [userId]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      notifications: result.rows.map(group => ({ ...group, message: describeGroup(group) })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Number of unread notification groups (the inbox badge)
+  static async getUnreadCount(userId) {
+    const result = await query(
+      'SELECT COUNT(DISTINCT group_key) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  // Mark the group of notification `id` as read
+  static async markGroupRead(id, userId) {
+    const notification = await query(
+      'SELECT group_key FROM notifications WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (notification.rows.length === 0) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    const result = await query(
+      `UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND group_key = $2 AND read_at IS NULL`,
+      [userId, notification.rows[0].group_key]
+    );
+
+    return result.rowCount;
+  }
+
+  static async markAllRead(userId) {
+    const result = await query(
+      'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+
+    return result.rowCount;
+  }
+
+  // Every notification type with whether it is on for the user
+  static async getPreferences(userId) {
+    const result = await query(
+      'SELECT type, enabled FROM notification_preferences WHERE user_id = $1',
+      [userId]
+    );
+
+    const preferences = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true]));
+    for (const row of result.rows) {
+      if (row.type in preferences) preferences[row.type] = row.enabled;
+    }
+    return preferences;
+  }
+
+  // Turn notification types on or off; `changes` maps type -> boolean
+  static async updatePreferences(userId, changes) {
+    for (const [type, enabled] of Object.entries(changes)) {
+      await query(
+        `INSERT INTO notification_preferences (user_id, type, enabled) VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, type) DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = CURRENT_TIMESTAMP`,
+        [userId, type, enabled]
+      );
+    }
+
+    return this.getPreferences(userId);
+  }
+}
+
+export default Notification;
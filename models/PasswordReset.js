@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { query, getClient } from '../utils/db.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Reset link lifetime in minutes
+export const getPasswordResetMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Minimum gap between two reset emails for the same account
+const REQUEST_INTERVAL_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export class PasswordReset {
+  // Issue a reset token for a user, replacing any outstanding one
+  // Returns null when a token was issued too recently (the caller stays silent)
+  static async create(userId, { ip = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      // Serialize concurrent requests for the same user
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+      const recent = await client.query(
+        `SELECT 1 FROM password_reset_tokens 
+         WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+        [userId, REQUEST_INTERVAL_SECONDS]
+      );
+
+      if (recent.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // Only the newest link works
+      await client.query(
+        'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+      await client.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) 
+         VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3), $4)`,
+        [userId, hashToken(token), getPasswordResetMinutes(), ip]
+      );
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return token;
+  }
+
+  // Set a new password with a reset token; the token is spent either way
+  // Returns the id of the user whose password was changed
+  static async consume(token, newPassword, client = null) {
+    if (!token || typeof token !== 'string') {
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    const ownClient = !client;
+    const db = client || await getClient();
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      const result = await db.query(
+        `UPDATE password_reset_tokens 
+         SET used_at = CURRENT_TIMESTAMP 
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP 
+         RETURNING user_id`,
+        [hashToken(token)]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Invalid or expired reset token', 400);
+      }
+
+      const userId = result.rows[0].user_id;
+
+      await db.query(
+        'UPDATE users SET password_hash = $1 WHERE id = $2',
+        [passwordHash, userId]
+      );
+
+      if (ownClient) await db.query('COMMIT');
+      return userId;
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
+  }
+
+  // Remove expired and spent tokens
+  static async deleteExpired() {
+    const result = await query(
+      `DELETE FROM password_reset_tokens 
+       WHERE expires_at < CURRENT_TIMESTAMP OR used_at IS NOT NULL`
+    );
+
+    return result.rowCount;
+  }
+}
+
+export default PasswordReset;
@@ -1,20 +1,105 @@
-import { query } from '../utils/db.js';
+import { query, getClient } from '../utils/db.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { PostRevision } from './PostRevision.js';
+import { Tag } from './Tag.js';
+import { STATUS_TIMESTAMPS, canBePublishedFrom } from '../utils/workflow.js';
+import { invalidateTag } from '../utils/cache.js';
+import { renderPostBody, htmlToText } from '../utils/markdown.js';
+import { analyzeText } from '../utils/readingTime.js';
+import { slugifyTag } from '../utils/tags.js';
+import { audit } from '../utils/audit.js';
+
+// Sort orders accepted by findAll()
+const LIST_ORDERS = {
+  created_at: 'p.created_at DESC',
+  published_at: 'COALESCE(p.published_at, p.created_at) DESC, p.id DESC'
+};
+
+// Condition matching posts with any of the tags whose slugs are in parameter `param`
+// Goes through post_tags, so it follows renames and merges and can use its index
+const tagCondition = (param) => `EXISTS (
+  SELECT 1 FROM post_tags pt
+  JOIN tags t ON t.id = pt.tag_id
+  WHERE pt.post_id = p.id AND t.slug = ANY($${param}::text[])
+)`;
+
+// SQL expression escaping the text of `expr` for use inside HTML
+const escapeHtmlSql = (expr) => `replace(replace(replace(${expr}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+// How long a post whose scheduled change failed is left alone before it is tried again
+const DEFAULT_SCHEDULE_RETRY_MINUTES = 15;
+
+const getScheduleRetryMinutes = () => {
+  return parseInt(process.env.SCHEDULER_RETRY_MINUTES) || DEFAULT_SCHEDULE_RETRY_MINUTES;
+};
 
 export class Post {
   // Create a new post
-  static async create({ userId, title, excerpt, body, imageUrl, tags, published = false }) {
+  // `status` is the workflow state to start in (draft, submitted or published)
+  // `bodyFormat` says how to render the body ('markdown' or 'html') into body_html
+  // Without an excerpt, one is generated from the body
+  static async create({ userId, title, excerpt, body, bodyFormat = 'markdown', imageUrl, tags, status = 'draft', commentPolicy = 'open' }, client = null) {
     // Generate slug from title
     const slug = this.generateSlug(title);
+    const timestampColumn = STATUS_TIMESTAMPS[status];
 
-    const result = await query(
-      `INSERT INTO posts (user_id, title, excerpt, body, image_url, slug, tags, published) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-       RETURNING *`,
-      [userId, title, excerpt, body, imageUrl, slug, tags, published]
-    );
+    const bodyHtml = renderPostBody(body, bodyFormat);
+    const stats = analyzeText(htmlToText(bodyHtml));
+    const excerptGenerated = !excerpt;
 
-    return result.rows[0];
+    const ownClient = !client;
+    const db = client || await getClient();
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      const result = await db.query(
+        `INSERT INTO posts 
+           (user_id, title, excerpt, excerpt_generated, body, body_format, body_html, word_count, reading_time_minutes, 
+            image_url, slug, tags, status, published, comment_policy${timestampColumn ? `, ${timestampColumn}` : ''}) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15${timestampColumn ? ', CURRENT_TIMESTAMP' : ''}) 
+         RETURNING *`,
+        [
+          userId, title, excerptGenerated ? stats.excerpt : excerpt, excerptGenerated, body, bodyFormat, bodyHtml,
+          stats.wordCount, stats.readingTimeMinutes, imageUrl, slug, tags, status, status === 'published', commentPolicy
+        ]
+      );
+      const post = result.rows[0];
+      post.tags = await Tag.setPostTags(post.id, tags, db);
+
+      if (status !== 'draft') {
+        await db.query(
+          `INSERT INTO post_status_transitions (post_id, from_status, to_status, user_id) 
+           VALUES ($1, 'draft', $2, $3)`,
+          [post.id, status, userId]
+        );
+      }
+
+      // The initial content is revision 1
+      await PostRevision.create({
+        postId: post.id,
+        userId,
+        title: post.title,
+        excerpt: post.excerpt,
+        body: post.body,
+        bodyFormat: post.body_format,
+        imageUrl: post.image_url,
+        tags: post.tags
+      }, db);
+
+      if (ownClient) {
+        await db.query('COMMIT');
+        // Cached public listings (sitemaps) only change when a live post does;
+        // with a caller's client, the caller invalidates after its own commit
+        if (post.published) invalidateTag('posts');
+      }
+
+      return post;
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
   }
 
   // Generate URL-friendly slug from title
@@ -28,15 +113,16 @@ export class Post {
   }
 
   // Make slug unique by appending number if needed
-  static async generateUniqueSlug(title, excludeId = null) {
+  static async generateUniqueSlug(title, excludeId = null, client = null) {
+    const db = client ? client.query.bind(client) : query;
     let baseSlug = this.generateSlug(title);
     let slug = baseSlug;
     let counter = 1;
 
     while (true) {
       const existingPost = excludeId 
-        ? await query('SELECT id FROM posts WHERE slug = $1 AND id != $2', [slug, excludeId])
-        : await query('SELECT id FROM posts WHERE slug = $1', [slug]);
+        ? await db('SELECT id FROM posts WHERE slug = $1 AND id != $2', [slug, excludeId])
+        : await db('SELECT id FROM posts WHERE slug = $1', [slug]);
 
       if (existingPost.rows.length === 0) {
         break;
@@ -50,7 +136,17 @@ export class Post {
   }
 
   // Get all published posts with pagination
-  static async findAll({ page = 1, limit = 10, tags = null, userId = null }) {
+  // `orderBy` is a key of LIST_ORDERS (newest created first by default)
+  // `minReadingTime`/`maxReadingTime` bound the estimated reading time in minutes
+  static async findAll({
+    page = 1,
+    limit = 10,
+    tags = null,
+    userId = null,
+    minReadingTime = null,
+    maxReadingTime = null,
+    orderBy = 'created_at'
+  }) {
     const offset = (page - 1) * limit;
     let queryText = `
       SELECT 
@@ -62,7 +158,7 @@ export class Post {
       FROM posts p
       JOIN users u ON p.user_id = u.id
       LEFT JOIN likes l ON p.id = l.post_id
-      LEFT JOIN comments c ON p.id = c.post_id
+      LEFT JOIN comments c ON p.id = c.post_id AND c.deleted_at IS NULL AND c.status = 'visible'
       WHERE p.published = true
     `;
     
@@ -70,8 +166,8 @@ export class Post {
     let paramCount = 1;
 
     if (tags && tags.length > 0) {
-      queryText += ` AND p.tags && $${paramCount}`;
-      params.push(tags);
+      queryText += ` AND ${tagCondition(paramCount)}`;
+      params.push(tags.map(slugifyTag));
       paramCount++;
     }
 
@@ -81,9 +177,21 @@ export class Post {
       paramCount++;
     }
 
+    if (minReadingTime !== null) {
+      queryText += ` AND p.reading_time_minutes >= $${paramCount}`;
+      params.push(minReadingTime);
+      paramCount++;
+    }
+
+    if (maxReadingTime !== null) {
+      queryText += ` AND p.reading_time_minutes <= $${paramCount}`;
+      params.push(maxReadingTime);
+      paramCount++;
+    }
+
     queryText += `
       GROUP BY p.id, u.name, u.avatar_url
-      ORDER BY p.created_at DESC
+      ORDER BY ${LIST_ORDERS[orderBy] || LIST_ORDERS.created_at}
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
     
@@ -97,14 +205,26 @@ export class Post {
     let countParamCount = 1;
 
     if (tags && tags.length > 0) {
-      countQuery += ` AND p.tags && $${countParamCount}`;
-      countParams.push(tags);
+      countQuery += ` AND ${tagCondition(countParamCount)}`;
+      countParams.push(tags.map(slugifyTag));
       countParamCount++;
     }
 
     if (userId) {
       countQuery += ` AND p.user_id = $${countParamCount}`;
       countParams.push(userId);
+      countParamCount++;
+    }
+
+    if (minReadingTime !== null) {
+      countQuery += ` AND p.reading_time_minutes >= $${countParamCount}`;
+      countParams.push(minReadingTime);
+      countParamCount++;
+    }
+
+    if (maxReadingTime !== null) {
+      countQuery += ` AND p.reading_time_minutes <= $${countParamCount}`;
+      countParams.push(maxReadingTime);
     }
 
     const countResult = await query(countQuery, countParams);
@@ -121,6 +241,87 @@ export class Post {
     };
   }
 
+  // Cheap change marker for the published posts findAll() would return:
+  // the newest updated_at and the number of posts (which catches removals)
+  static async getListVersion({ tags = null, userId = null }) {
+    let queryText = `
+      SELECT MAX(p.updated_at) as last_modified, COUNT(*) as total
+      FROM posts p
+      WHERE p.published = true
+    `;
+    const params = [];
+    let paramCount = 1;
+
+    if (tags && tags.length > 0) {
+      queryText += ` AND ${tagCondition(paramCount)}`;
+      params.push(tags.map(slugifyTag));
+      paramCount++;
+    }
+
+    if (userId) {
+      queryText += ` AND p.user_id = $${paramCount}`;
+      params.push(userId);
+    }
+
+    const result = await query(queryText, params);
+
+    return {
+      lastModified: result.rows[0].last_modified,
+      total: parseInt(result.rows[0].total)
+    };
+  }
+
+  // Home feed: published posts by authors `userId` follows (and with tags they follow
+  // when `includeTags`), newest first, without their own posts or authors they blocked
+  // `after` is the { at, id } sort key of the last post of the previous page
+  static async findFeed(userId, { limit = 20, after = null, includeTags = true }) {
+    const params = [userId, includeTags];
+    let cursorCondition = '';
+
+    if (after) {
+      cursorCondition = 'AND (COALESCE(p.published_at, p.created_at), p.id) < ($3::timestamp, $4)';
+      params.push(after.at, after.id);
+    }
+
+    params.push(limit + 1);
+
+    const result = await query(
+      `SELECT
+         p.*,
+         u.name as author_name,
+         u.avatar_url as author_avatar,
+         (SELECT COUNT(*) FROM likes l WHERE l.post_id = p.id) as likes_count,
+         (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL AND c.status = 'visible') as comments_count,
+         COALESCE(p.published_at, p.created_at)::text as feed_at
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.published = true
+         AND p.user_id <> $1
+         AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE b.blocker_id = $1 AND b.blocked_id = p.user_id)
+         AND (
+           EXISTS (SELECT 1 FROM follows f WHERE f.follower_id = $1 AND f.followee_id = p.user_id)
+           OR ($2 AND EXISTS (
+             SELECT 1 FROM post_tags pt
+             JOIN tag_follows tf ON tf.tag_id = pt.tag_id AND tf.user_id = $1
+             WHERE pt.post_id = p.id
+           ))
+         )
+         ${cursorCondition}
+       ORDER BY COALESCE(p.published_at, p.created_at) DESC, p.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      posts: rows.map(({ feed_at, ...post }) => post),
+      next: hasMore ? { at: last.feed_at, id: last.id } : null
+    };
+  }
+
   // Find post by ID with author and interaction counts
   static async findById(id, userId = null) {
     const result = await query(
@@ -131,11 +332,12 @@ export class Post {
          u.bio as author_bio,
          COUNT(DISTINCT l.id) as likes_count,
          COUNT(DISTINCT c.id) as comments_count,
-         ${userId ? 'COUNT(DISTINCT ul.id) > 0 as user_liked' : 'false as user_liked'}
+         ${userId ? 'COUNT(DISTINCT ul.id) > 0 as user_liked' : 'false as user_liked'},
+         ${userId ? 'EXISTS (SELECT 1 FROM bookmarks b WHERE b.post_id = p.id AND b.user_id = $2) as user_bookmarked' : 'false as user_bookmarked'}
        FROM posts p
        JOIN users u ON p.user_id = u.id
        LEFT JOIN likes l ON p.id = l.post_id
-       LEFT JOIN comments c ON p.id = c.post_id
+       LEFT JOIN comments c ON p.id = c.post_id AND c.deleted_at IS NULL AND c.status = 'visible'
        ${userId ? 'LEFT JOIN likes ul ON p.id = ul.post_id AND ul.user_id = $2' : ''}
        WHERE p.id = $1
        GROUP BY p.id, u.name, u.avatar_url, u.bio`,
@@ -159,11 +361,12 @@ export class Post {
          u.bio as author_bio,
          COUNT(DISTINCT l.id) as likes_count,
          COUNT(DISTINCT c.id) as comments_count,
-         ${userId ? 'COUNT(DISTINCT ul.id) > 0 as user_liked' : 'false as user_liked'}
+         ${userId ? 'COUNT(DISTINCT ul.id) > 0 as user_liked' : 'false as user_liked'},
+         ${userId ? 'EXISTS (SELECT 1 FROM bookmarks b WHERE b.post_id = p.id AND b.user_id = $2) as user_bookmarked' : 'false as user_bookmarked'}
        FROM posts p
        JOIN users u ON p.user_id = u.id
        LEFT JOIN likes l ON p.id = l.post_id
-       LEFT JOIN comments c ON p.id = c.post_id
+       LEFT JOIN comments c ON p.id = c.post_id AND c.deleted_at IS NULL AND c.status = 'visible'
        ${userId ? 'LEFT JOIN likes ul ON p.id = ul.post_id AND ul.user_id = $2' : ''}
        WHERE p.slug = $1 AND p.published = true
        GROUP BY p.id, u.name, u.avatar_url, u.bio`,
@@ -178,7 +381,11 @@ export class Post {
   }
 
   // Update post
-  static async update(id, { title, excerpt, body, imageUrl, tags, published }) {
+  // Content changes are recorded as a new revision attributed to options.userId
+  // Publishing goes through transition() so status and published stay in sync
+  static async update(id, { title, excerpt, body, bodyFormat, imageUrl, tags, commentPolicy }, { userId = null, restoredFrom = null } = {}, client = null) {
+    // With a caller's client, the reads below see its transaction too
+    const read = client ? client.query.bind(client) : query;
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -189,24 +396,67 @@ export class Post {
       paramCount++;
       
       // Update slug if title changed
-      const slug = await this.generateUniqueSlug(title, id);
+      const slug = await this.generateUniqueSlug(title, id, client);
       updates.push(`slug = $${paramCount}`);
       values.push(slug);
       paramCount++;
     }
 
-    if (excerpt !== undefined) {
-      updates.push(`excerpt = $${paramCount}`);
-      values.push(excerpt);
-      paramCount++;
-    }
-
     if (body !== undefined) {
       updates.push(`body = $${paramCount}`);
       values.push(body);
       paramCount++;
     }
 
+    if (bodyFormat !== undefined) {
+      updates.push(`body_format = $${paramCount}`);
+      values.push(bodyFormat);
+      paramCount++;
+    }
+
+    // An empty excerpt means "generate one"; generated excerpts follow body edits
+    const clearsExcerpt = excerpt !== undefined && !excerpt;
+    const bodyChanged = body !== undefined || bodyFormat !== undefined;
+
+    if (excerpt) {
+      updates.push(`excerpt = $${paramCount}`, 'excerpt_generated = false');
+      values.push(excerpt);
+      paramCount++;
+    }
+
+    if (bodyChanged || clearsExcerpt) {
+      const current = await read(
+        'SELECT body, body_format, body_html, excerpt_generated FROM posts WHERE id = $1',
+        [id]
+      );
+      if (current.rows.length === 0) {
+        throw new AppError('Post not found', 404);
+      }
+      const currentPost = current.rows[0];
+
+      // Re-render when either the source or its format changes
+      const bodyHtml = bodyChanged
+        ? renderPostBody(body ?? currentPost.body, bodyFormat ?? currentPost.body_format)
+        : currentPost.body_html;
+      const stats = analyzeText(htmlToText(bodyHtml));
+
+      if (bodyChanged) {
+        updates.push(
+          `body_html = $${paramCount}`,
+          `word_count = $${paramCount + 1}`,
+          `reading_time_minutes = $${paramCount + 2}`
+        );
+        values.push(bodyHtml, stats.wordCount, stats.readingTimeMinutes);
+        paramCount += 3;
+      }
+
+      if (clearsExcerpt || (excerpt === undefined && currentPost.excerpt_generated)) {
+        updates.push(`excerpt = $${paramCount}`, 'excerpt_generated = true');
+        values.push(stats.excerpt);
+        paramCount++;
+      }
+    }
+
     if (imageUrl !== undefined) {
       updates.push(`image_url = $${paramCount}`);
       values.push(imageUrl);
@@ -219,9 +469,9 @@ export class Post {
       paramCount++;
     }
 
-    if (published !== undefined) {
-      updates.push(`published = $${paramCount}`);
-      values.push(published);
+    if (commentPolicy !== undefined) {
+      updates.push(`comment_policy = $${paramCount}`);
+      values.push(commentPolicy);
       paramCount++;
     }
 
@@ -231,7 +481,216 @@ export class Post {
 
     values.push(id);
 
+    const contentChanged = [title, excerpt, body, bodyFormat, imageUrl, tags].some(value => value !== undefined);
+
+    const ownClient = !client;
+    const db = client || await getClient();
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      const result = await db.query(
+        `UPDATE posts SET ${updates.join(', ')} 
+         WHERE id = $${paramCount} 
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Post not found', 404);
+      }
+
+      const post = result.rows[0];
+      if (tags !== undefined) {
+        post.tags = await Tag.setPostTags(post.id, tags, db);
+      }
+
+      if (contentChanged) {
+        await PostRevision.create({
+          postId: post.id,
+          userId,
+          title: post.title,
+          excerpt: post.excerpt,
+          body: post.body,
+          bodyFormat: post.body_format,
+          imageUrl: post.image_url,
+          tags: post.tags,
+          restoredFrom
+        }, db);
+      }
+
+      if (ownClient) {
+        await db.query('COMMIT');
+        if (post.published) invalidateTag('posts');
+      }
+
+      return post;
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
+  }
+
+  // Restore a post's content from one of its revisions (recorded as a new revision)
+  static async restoreRevision(id, revisionNumber, userId, client = null) {
+    const revision = await PostRevision.findByNumber(id, revisionNumber, client);
+    if (!revision) {
+      throw new AppError('Revision not found', 404);
+    }
+
+    return this.update(id, {
+      title: revision.title,
+      excerpt: revision.excerpt,
+      body: revision.body,
+      bodyFormat: revision.body_format,
+      imageUrl: revision.image_url,
+      tags: revision.tags
+    }, { userId, restoredFrom: revision.id }, client);
+  }
+
+  // Move a post to another workflow status and record the transition
+  // Callers validate the move with assertTransition() from utils/workflow.js;
+  // `from` guards against the status changing concurrently
+  static async transition(id, { from, to, userId = null, notes = null }, client = null) {
+    const ownClient = !client;
+    const db = client || await getClient();
+
+    const timestampColumn = STATUS_TIMESTAMPS[to];
+    // Keep the first publication date when a post is re-published
+    let extraUpdates = timestampColumn === 'published_at'
+      ? ', published_at = COALESCE(published_at, CURRENT_TIMESTAMP)'
+      : timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : '';
+
+    // A pending schedule is used up once the post is published or taken down
+    if (to === 'published') extraUpdates += ', publish_at = NULL';
+    if (from === 'published') extraUpdates += ', unpublish_at = NULL';
+
+    // Notes on a review decision are shown to the author as review_notes
+    const values = [to, to === 'published', id, from];
+    if (from === 'in_review' && notes) {
+      values.push(notes);
+      extraUpdates += `, review_notes = $${values.length}`;
+    }
+
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      const result = await db.query(
+        `UPDATE posts 
+         SET status = $1, published = $2${extraUpdates}
+         WHERE id = $3 AND status = $4
+         RETURNING *`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Post not found or its status has changed', 409);
+      }
+
+      await db.query(
+        `INSERT INTO post_status_transitions (post_id, from_status, to_status, user_id, notes) 
+         VALUES ($1, $2, $3, $4, $5)`,
+        [id, from, to, userId, notes]
+      );
+
+      if (ownClient) {
+        await db.query('COMMIT');
+        // With a caller's client, the caller invalidates after its own commit
+        if (from === 'published' || to === 'published') invalidateTag('posts');
+      }
+      return result.rows[0];
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
+  }
+
+  // Get the status history of a post, oldest first
+  static async findStatusHistory(id) {
+    const result = await query(
+      `SELECT 
+         t.*,
+         u.name as user_name,
+         u.avatar_url as user_avatar
+       FROM post_status_transitions t
+       LEFT JOIN users u ON t.user_id = u.id
+       WHERE t.post_id = $1
+       ORDER BY t.created_at ASC, t.id ASC`,
+      [id]
+    );
+
+    return result.rows;
+  }
+
+  // Get posts in the given workflow statuses (editorial queue), oldest first
+  static async findByStatus(statuses, { page = 1, limit = 20 }) {
+    const offset = (page - 1) * limit;
+
     const result = await query(
+      `SELECT 
+         p.id, p.user_id, p.title, p.excerpt, p.slug, p.tags, p.status, p.review_notes,
+         p.word_count, p.reading_time_minutes,
+         p.submitted_at, p.review_started_at, p.approved_at, p.created_at, p.updated_at,
+         u.name as author_name,
+         u.avatar_url as author_avatar
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE p.status = ANY($1)
+       ORDER BY COALESCE(p.submitted_at, p.updated_at) ASC
+       LIMIT $2 OFFSET $3`,
+      [statuses, limit, offset]
+    );
+
+    const countResult = await query(
+      'SELECT COUNT(*) FROM posts WHERE status = ANY($1)',
+      [statuses]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      posts: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Set, change or clear a post's schedule
+  // undefined leaves a field unchanged, null clears it
+  static async schedule(id, { publishAt, unpublishAt }, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (publishAt !== undefined) {
+      updates.push(`publish_at = $${paramCount}`);
+      values.push(publishAt);
+      paramCount++;
+    }
+
+    if (unpublishAt !== undefined) {
+      updates.push(`unpublish_at = $${paramCount}`);
+      values.push(unpublishAt);
+      paramCount++;
+    }
+
+    if (updates.length === 0) {
+      throw new AppError('No schedule fields to update', 400);
+    }
+
+    // A new schedule gets a clean slate
+    updates.push('schedule_error = NULL', 'schedule_failed_at = NULL');
+    values.push(id);
+
+    const result = await db(
       `UPDATE posts SET ${updates.join(', ')} 
        WHERE id = $${paramCount} 
        RETURNING *`,
@@ -245,10 +704,157 @@ export class Post {
     return result.rows[0];
   }
 
-  // Delete post
-  static async delete(id) {
+  // Get posts with a pending publish or unpublish time, soonest first
+  static async findScheduled({ userId = null, page = 1, limit = 20 }) {
+    const offset = (page - 1) * limit;
+    const params = [];
+    let userFilter = '';
+
+    if (userId) {
+      params.push(userId);
+      userFilter = `AND p.user_id = $${params.length}`;
+    }
+
     const result = await query(
-      'DELETE FROM posts WHERE id = $1 RETURNING id',
+      `SELECT 
+         p.id, p.user_id, p.title, p.slug, p.status, p.published,
+         p.publish_at, p.unpublish_at, p.published_at, p.updated_at,
+         p.schedule_error, p.schedule_failed_at,
+         u.name as author_name,
+         u.avatar_url as author_avatar
+       FROM posts p
+       JOIN users u ON p.user_id = u.id
+       WHERE (p.publish_at IS NOT NULL OR p.unpublish_at IS NOT NULL) ${userFilter}
+       ORDER BY LEAST(p.publish_at, p.unpublish_at) ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM posts p
+       WHERE (p.publish_at IS NOT NULL OR p.unpublish_at IS NOT NULL) ${userFilter}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      posts: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Apply the next due scheduled publish ('publish') or takedown ('unpublish')
+  // Returns { post } (the post after the change, audited in the same transaction), or null when nothing is due.
+  // If the change fails, the error is recorded on the post, which is skipped for
+  // SCHEDULER_RETRY_MINUTES, and { post, error } is returned so the caller can move on.
+  // A publish is only applied from a status the workflow publishes from (draft, approved,
+  // archived); a post that went into review after being scheduled keeps its review, and
+  // the schedule is dropped with the reason in schedule_error.
+  // FOR UPDATE SKIP LOCKED lets several instances run the scheduler at once:
+  // a post claimed by one instance is invisible to the others until it commits.
+  static async applyNextScheduled(kind) {
+    const column = kind === 'publish' ? 'publish_at' : 'unpublish_at';
+    const client = await getClient();
+    let claimed = null;
+    let failure;
+
+    try {
+      await client.query('BEGIN');
+
+      const due = await client.query(
+        `SELECT * FROM posts 
+         WHERE ${column} <= NOW() 
+           AND (schedule_failed_at IS NULL OR schedule_failed_at <= NOW() - make_interval(mins => $1))
+         ORDER BY ${column} ASC 
+         LIMIT 1 
+         FOR UPDATE SKIP LOCKED`,
+        [getScheduleRetryMinutes()]
+      );
+
+      if (due.rows.length === 0) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      claimed = due.rows[0];
+
+      const { id, status } = due.rows[0];
+      const target = kind === 'publish' ? 'published' : 'archived';
+      let post;
+      let blocked = null;
+
+      if (kind === 'publish' && status !== 'published' && !canBePublishedFrom(status)) {
+        blocked = new Error(`Post is ${status.replace('_', ' ')} and must be approved before it is published`);
+        const result = await client.query(
+          `UPDATE posts SET publish_at = NULL, schedule_error = $1, schedule_failed_at = CURRENT_TIMESTAMP 
+           WHERE id = $2 
+           RETURNING *`,
+          [blocked.message, id]
+        );
+        post = result.rows[0];
+      } else if ((kind === 'publish' && status !== 'published') || (kind === 'unpublish' && status === 'published')) {
+        // Never from in_review, so the notes stay in the history and leave review_notes alone
+        post = await this.transition(id, {
+          from: status,
+          to: target,
+          notes: kind === 'publish' ? 'Scheduled publish' : 'Scheduled unpublish'
+        }, client);
+      } else {
+        // Nothing to change (already published, or not live any more); drop the stale schedule
+        const result = await client.query(
+          `UPDATE posts SET ${column} = NULL WHERE id = $1 RETURNING *`,
+          [id]
+        );
+        post = result.rows[0];
+      }
+
+      if (!blocked && claimed.schedule_failed_at) {
+        const cleared = await client.query(
+          'UPDATE posts SET schedule_error = NULL, schedule_failed_at = NULL WHERE id = $1 RETURNING *',
+          [id]
+        );
+        post = cleared.rows[0];
+      }
+
+      // Recorded with the change, so a failed write fails the run like any other error
+      await audit(null, { action: 'update', entityType: 'post', entityId: id, before: claimed }, client);
+
+      await client.query('COMMIT');
+
+      if (!blocked && (post.status === 'published' || post.status === 'archived')) invalidateTag('posts');
+
+      return blocked ? { post, error: blocked } : { post };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (!claimed) throw err;
+      failure = err;
+    } finally {
+      client.release();
+    }
+
+    // The change failed: note it on the post so the next pass picks another one
+    const failed = await query(
+      `UPDATE posts SET schedule_error = $1, schedule_failed_at = CURRENT_TIMESTAMP 
+       WHERE id = $2 
+       RETURNING *`,
+      [failure.message, claimed.id]
+    );
+
+    return { post: failed.rows[0] || claimed, error: failure };
+  }
+
+  // Delete post
+  // With a caller's client, the caller invalidates after its own commit
+  static async delete(id, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      'DELETE FROM posts WHERE id = $1 RETURNING id, published',
       [id]
     );
 
@@ -256,9 +862,106 @@ export class Post {
       throw new AppError('Post not found', 404);
     }
 
+    if (!client && result.rows[0].published) invalidateTag('posts');
+
     return true;
   }
 
+  // Published posts for sitemaps, in stable id order (slug and last modification only)
+  static async findForSitemap({ offset = 0, limit = 50000 }) {
+    const result = await query(
+      `SELECT id, slug, updated_at 
+       FROM posts 
+       WHERE published = true 
+       ORDER BY id 
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  // Sitemap chunks of `chunkSize` published posts with the newest updated_at in each
+  static async findSitemapChunks(chunkSize) {
+    const result = await query(
+      `SELECT chunk, MAX(updated_at) as lastmod 
+       FROM (
+         SELECT (ROW_NUMBER() OVER (ORDER BY id) - 1) / $1 as chunk, updated_at 
+         FROM posts 
+         WHERE published = true
+       ) numbered 
+       GROUP BY chunk 
+       ORDER BY chunk`,
+      [chunkSize]
+    );
+
+    return result.rows.map(row => ({ chunk: parseInt(row.chunk), lastmod: row.lastmod }));
+  }
+
+  // Authors with at least one published post, with their latest post change
+  static async findSitemapAuthors({ offset = 0, limit = 50000 }) {
+    const result = await query(
+      `SELECT user_id, MAX(updated_at) as lastmod 
+       FROM posts 
+       WHERE published = true 
+       GROUP BY user_id 
+       ORDER BY user_id 
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  // Tags used by published posts, with their latest post change
+  static async findSitemapTags({ offset = 0, limit = 50000 }) {
+    const result = await query(
+      `SELECT t.slug, MAX(p.updated_at) as lastmod 
+       FROM tags t 
+       JOIN post_tags pt ON pt.tag_id = t.id 
+       JOIN posts p ON p.id = pt.post_id 
+       WHERE p.published = true 
+       GROUP BY t.id 
+       ORDER BY t.slug 
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  // Number of authors and tags with published posts (for splitting their sitemaps)
+  static async countSitemapEntries() {
+    const result = await query(
+      `SELECT 
+         (SELECT COUNT(DISTINCT user_id) FROM posts WHERE published = true) as authors,
+         (SELECT COUNT(DISTINCT pt.tag_id) FROM post_tags pt JOIN posts p ON p.id = pt.post_id WHERE p.published = true) as tags,
+         (SELECT MAX(updated_at) FROM posts WHERE published = true) as lastmod`
+    );
+
+    const row = result.rows[0];
+    return {
+      authors: parseInt(row.authors),
+      tags: parseInt(row.tags),
+      lastmod: row.lastmod
+    };
+  }
+
+  // Posts first published within the last `hours` hours (news sitemap)
+  static async findRecentlyPublished({ hours = 48, limit = 1000 }) {
+    const result = await query(
+      `SELECT id, slug, title, tags, published_at 
+       FROM posts 
+       WHERE published = true 
+         AND published_at >= CURRENT_TIMESTAMP - make_interval(hours => $1) 
+       ORDER BY published_at DESC 
+       LIMIT $2`,
+      [hours, limit]
+    );
+
+    return result.rows;
+  }
+
   // Increment view count
   static async incrementViews(id) {
     await query(
@@ -278,7 +981,7 @@ export class Post {
          COUNT(DISTINCT c.id) as comments_count
        FROM posts p
        LEFT JOIN likes l ON p.id = l.post_id
-       LEFT JOIN comments c ON p.id = c.post_id
+       LEFT JOIN comments c ON p.id = c.post_id AND c.deleted_at IS NULL AND c.status = 'visible'
        WHERE p.user_id = $1
        GROUP BY p.id
        ORDER BY p.created_at DESC
@@ -304,34 +1007,55 @@ export class Post {
     };
   }
 
-  // Search posts
+  // Full-text search across title, excerpt, body, tags and author name
+  // Accepts web-search syntax: "quoted phrases", -exclusions and OR
   static async search(searchTerm, { page = 1, limit = 10 }) {
     const offset = (page - 1) * limit;
 
+    // Rank and paginate first so ts_headline only runs on the returned page.
+    // Highlights are HTML, so they're built from escaped text (the body from the
+    // sanitized body_html with its tags stripped): the only markup left is <mark>.
     const result = await query(
-      `SELECT 
+      `WITH q AS (SELECT websearch_to_tsquery('english', $1) AS query),
+       matches AS (
+         SELECT p.id, ts_rank_cd(s.document, q.query, 32) AS rank
+         FROM posts p
+         JOIN post_search s ON s.post_id = p.id
+         CROSS JOIN q
+         WHERE p.published = true AND s.document @@ q.query
+         ORDER BY rank DESC, p.created_at DESC
+         LIMIT $2 OFFSET $3
+       )
+       SELECT 
          p.*,
          u.name as author_name,
          u.avatar_url as author_avatar,
          COUNT(DISTINCT l.id) as likes_count,
-         COUNT(DISTINCT c.id) as comments_count
-       FROM posts p
+         COUNT(DISTINCT c.id) as comments_count,
+         m.rank,
+         ts_headline('english', ${escapeHtmlSql('p.title')}, q.query,
+           'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') as title_highlight,
+         ts_headline('english',
+           ${escapeHtmlSql("COALESCE(p.excerpt, '')")} || ' ' || regexp_replace(p.body_html, '<[^>]*>', ' ', 'g'),
+           q.query,
+           'MaxFragments=2, MaxWords=35, MinWords=15, FragmentDelimiter=" … ", StartSel=<mark>, StopSel=</mark>') as headline
+       FROM matches m
+       JOIN posts p ON p.id = m.id
        JOIN users u ON p.user_id = u.id
+       CROSS JOIN q
        LEFT JOIN likes l ON p.id = l.post_id
-       LEFT JOIN comments c ON p.id = c.post_id
-       WHERE p.published = true 
-         AND (p.title ILIKE $1 OR p.excerpt ILIKE $1 OR p.body ILIKE $1)
-       GROUP BY p.id, u.name, u.avatar_url
-       ORDER BY p.created_at DESC
-       LIMIT $2 OFFSET $3`,
-      [`%${searchTerm}%`, limit, offset]
+       LEFT JOIN comments c ON p.id = c.post_id AND c.deleted_at IS NULL AND c.status = 'visible'
+       GROUP BY p.id, u.name, u.avatar_url, m.rank, q.query
+       ORDER BY m.rank DESC, p.created_at DESC`,
+      [searchTerm, limit, offset]
     );
 
     const countResult = await query(
       `SELECT COUNT(*) FROM posts p
+       JOIN post_search s ON s.post_id = p.id
        WHERE p.published = true 
-         AND (p.title ILIKE $1 OR p.excerpt ILIKE $1 OR p.body ILIKE $1)`,
-      [`%${searchTerm}%`]
+         AND s.document @@ websearch_to_tsquery('english', $1)`,
+      [searchTerm]
     );
 
     const total = parseInt(countResult.rows[0].count);
@@ -0,0 +1,115 @@
+import { query, getClient } from '../utils/db.js';
+
+// Post fields captured in every revision
+export const REVISION_FIELDS = ['title', 'excerpt', 'body', 'body_format', 'image_url', 'tags'];
+
+export class PostRevision {
+  // Record a snapshot of a post's editable fields
+  // Pass a transaction client to record it atomically with the post update
+  // Revision numbers are taken while holding the post's row lock, so
+  // concurrent saves of the same post are numbered one after the other
+  static async create({ postId, userId, title, excerpt, body, bodyFormat = 'markdown', imageUrl, tags, restoredFrom = null }, client = null) {
+    const ownClient = !client;
+    const db = client || await getClient();
+
+    try {
+      if (ownClient) await db.query('BEGIN');
+
+      await db.query('SELECT id FROM posts WHERE id = $1 FOR UPDATE', [postId]);
+
+      const result = await db.query(
+        `INSERT INTO post_revisions
+           (post_id, revision_number, user_id, title, excerpt, body, body_format, image_url, tags, restored_from)
+         SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9
+         FROM post_revisions
+         WHERE post_id = $1
+         RETURNING *`,
+        [postId, userId, title, excerpt, body, bodyFormat, imageUrl, tags, restoredFrom]
+      );
+
+      if (ownClient) await db.query('COMMIT');
+
+      return result.rows[0];
+    } catch (err) {
+      if (ownClient) await db.query('ROLLBACK');
+      throw err;
+    } finally {
+      if (ownClient) db.release();
+    }
+  }
+
+  // List revisions for a post, newest first (without full bodies)
+  static async findByPostId(postId, { page = 1, limit = 20 }) {
+    const offset = (page - 1) * limit;
+
+    const result = await query(
+      `SELECT
+         r.id,
+         r.post_id,
+         r.revision_number,
+         r.title,
+         r.restored_from,
+         rr.revision_number as restored_from_number,
+         r.created_at,
+         u.id as user_id,
+         u.name as user_name,
+         u.avatar_url as user_avatar
+       FROM post_revisions r
+       LEFT JOIN users u ON r.user_id = u.id
+       LEFT JOIN post_revisions rr ON r.restored_from = rr.id
+       WHERE r.post_id = $1
+       ORDER BY r.revision_number DESC
+       LIMIT $2 OFFSET $3`,
+      [postId, limit, offset]
+    );
+
+    const countResult = await query(
+      'SELECT COUNT(*) FROM post_revisions WHERE post_id = $1',
+      [postId]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      revisions: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Find a revision by its per-post revision number
+  static async findByNumber(postId, revisionNumber, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `SELECT
+         r.*,
+         u.name as user_name,
+         u.avatar_url as user_avatar
+       FROM post_revisions r
+       LEFT JOIN users u ON r.user_id = u.id
+       WHERE r.post_id = $1 AND r.revision_number = $2`,
+      [postId, revisionNumber]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Get the most recent revision of a post
+  static async findLatest(postId) {
+    const result = await query(
+      `SELECT * FROM post_revisions
+       WHERE post_id = $1
+       ORDER BY revision_number DESC
+       LIMIT 1`,
+      [postId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+export default PostRevision;
@@ -0,0 +1,30 @@
+import { query } from '../utils/db.js';
+
+export class RateLimit {
+  // Count a hit in the current window; returns it with the previous window's count
+  static async hit(key, windowStart, expiresAt) {
+    const result = await query(
+      `WITH hit AS (
+         INSERT INTO rate_limit_hits (key, window_start, count, expires_at)
+         VALUES ($1, $2, 1, $3)
+         ON CONFLICT (key, window_start) DO UPDATE SET count = rate_limit_hits.count + 1
+         RETURNING count
+       )
+       SELECT 
+         hit.count as current,
+         COALESCE((SELECT count FROM rate_limit_hits WHERE key = $1 AND window_start = $2 - 1), 0) as previous
+       FROM hit`,
+      [key, windowStart, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  // Remove counters nobody can hit anymore
+  static async deleteExpired() {
+    const result = await query('DELETE FROM rate_limit_hits WHERE expires_at < CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+}
+
+export default RateLimit;
@@ -0,0 +1,55 @@
+import { query } from '../utils/db.js';
+
+// Postgres channel used to announce new events to every instance
+export const NOTIFY_CHANNEL = 'realtime_events';
+
+export class RealtimeEvent {
+  // Store an event and announce it (the NOTIFY is delivered when the insert commits)
+  // Only the id and channel are sent, keeping the payload under NOTIFY's size limit
+  static async create(channel, event, data) {
+    const result = await query(
+      `WITH inserted AS (
+         INSERT INTO realtime_events (channel, event, data)
+         VALUES ($1, $2, $3)
+         RETURNING *
+       )
+       SELECT inserted.*, pg_notify($4, json_build_object('id', inserted.id, 'channel', inserted.channel)::text)
+       FROM inserted`,
+      [channel, event, JSON.stringify(data), NOTIFY_CHANNEL]
+    );
+
+    const { pg_notify, ...row } = result.rows[0];
+    return row;
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM realtime_events WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Events on any of `channels` after `afterId`, oldest first
+  static async findSince(channels, afterId, limit = 1000) {
+    const result = await query(
+      `SELECT * FROM realtime_events
+       WHERE channel = ANY($1) AND id > $2
+       ORDER BY id
+       LIMIT $3`,
+      [channels, afterId, limit]
+    );
+
+    return result.rows;
+  }
+
+  // Remove events older than `minutes` (past that, clients reload instead of resuming)
+  static async deleteOlderThan(minutes) {
+    const result = await query(
+      `DELETE FROM realtime_events
+       WHERE created_at < CURRENT_TIMESTAMP - make_interval(mins => $1)`,
+      [minutes]
+    );
+
+    return result.rowCount;
+  }
+}
+
+export default RealtimeEvent;
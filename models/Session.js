@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { query, getClient } from '../utils/db.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Refresh token lifetime in days
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+export class Session {
+  // Start a new login session and issue its first refresh token
+  static async create({ userId, userAgent = null, ip = null }) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = generateRefreshToken();
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO user_sessions (id, user_id, user_agent, ip) 
+         VALUES ($1, $2, $3, $4)`,
+        [sessionId, userId, userAgent?.slice(0, 500), ip]
+      );
+
+      await client.query(
+        `INSERT INTO refresh_tokens (session_id, token_hash, expires_at) 
+         VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))`,
+        [sessionId, hashToken(refreshToken), getRefreshTokenDays()]
+      );
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return { sessionId, refreshToken };
+  }
+
+  // Exchange a refresh token for a new one (rotation)
+  // Presenting an already-used token means it was copied: the whole session is revoked
+  static async rotate(refreshToken, { userAgent = null, ip = null } = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new AppError('Refresh token is required', 400);
+    }
+
+    let failure = null;
+    let rotated = null;
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT 
+           t.id, t.session_id, t.used_at, t.expires_at < CURRENT_TIMESTAMP as expired,
+           s.user_id, s.revoked_at
+         FROM refresh_tokens t
+         JOIN user_sessions s ON t.session_id = s.id
+         WHERE t.token_hash = $1
+         FOR UPDATE OF t, s`,
+        [hashToken(refreshToken)]
+      );
+
+      const token = result.rows[0];
+
+      if (!token || token.revoked_at || token.expired) {
+        failure = new AppError('Invalid or expired refresh token', 401);
+      } else if (token.used_at) {
+        await client.query(
+          `UPDATE user_sessions 
+           SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse' 
+           WHERE id = $1`,
+          [token.session_id]
+        );
+        failure = new AppError('Refresh token has already been used; session revoked', 401);
+      } else {
+        const nextToken = generateRefreshToken();
+
+        await client.query(
+          'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [token.id]
+        );
+
+        await client.query(
+          `INSERT INTO refresh_tokens (session_id, token_hash, expires_at) 
+           VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))`,
+          [token.session_id, hashToken(nextToken), getRefreshTokenDays()]
+        );
+
+        await client.query(
+          `UPDATE user_sessions 
+           SET last_used_at = CURRENT_TIMESTAMP, 
+               user_agent = COALESCE($2, user_agent), 
+               ip = COALESCE($3, ip) 
+           WHERE id = $1`,
+          [token.session_id, userAgent?.slice(0, 500), ip]
+        );
+
+        rotated = {
+          sessionId: token.session_id,
+          userId: token.user_id,
+          refreshToken: nextToken
+        };
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (failure) {
+      throw failure;
+    }
+
+    return rotated;
+  }
+
+  // Revoke one session
+  static async revoke(sessionId, reason = 'logout') {
+    await query(
+      `UPDATE user_sessions 
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [sessionId, reason]
+    );
+  }
+
+  // Revoke the session a refresh token belongs to
+  static async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const result = await query(
+      `UPDATE user_sessions s 
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 
+       FROM refresh_tokens t 
+       WHERE t.session_id = s.id AND t.token_hash = $1 AND s.revoked_at IS NULL 
+       RETURNING s.id`,
+      [hashToken(refreshToken), reason]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Revoke every session of a user
+  static async revokeAllForUser(userId, reason, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `UPDATE user_sessions 
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 
+       WHERE user_id = $1 AND revoked_at IS NULL 
+       RETURNING id`,
+      [userId, reason]
+    );
+
+    return result.rows.length;
+  }
+
+  // Remove expired refresh tokens and sessions that can no longer be used
+  static async deleteExpired() {
+    await query(
+      `DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '1 day'`
+    );
+
+    const result = await query(
+      `DELETE FROM user_sessions s 
+       WHERE s.revoked_at < CURRENT_TIMESTAMP - INTERVAL '7 days' 
+          OR NOT EXISTS (SELECT 1 FROM refresh_tokens t WHERE t.session_id = s.id)`
+    );
+
+    return result.rowCount;
+  }
+}
+
+export default Session;
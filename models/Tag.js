@@ -0,0 +1,270 @@
+import { query, getClient } from '../utils/db.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { invalidateTag } from '../utils/cache.js';
+import { normalizeTagName, normalizeTags, slugifyTag } from '../utils/tags.js';
+
+// Number of published posts per tag
+const POST_COUNT = `(SELECT COUNT(*) FROM post_tags pt JOIN posts p ON p.id = pt.post_id
+   WHERE pt.tag_id = t.id AND p.published = true)::int`;
+
+export class Tag {
+  // Replace a post's tags, creating tags that don't exist yet
+  // Returns the tags' stored names in order, which are also written to posts.tags
+  static async setPostTags(postId, names, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const tagNames = normalizeTags(names || []);
+
+    const tagIds = [];
+    const storedNames = [];
+    for (const name of tagNames) {
+      const result = await db(
+        `INSERT INTO tags (name, slug) VALUES ($1, $2)
+         ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+         RETURNING id, name`,
+        [name, slugifyTag(name)]
+      );
+      tagIds.push(result.rows[0].id);
+      storedNames.push(result.rows[0].name);
+    }
+
+    await db('DELETE FROM post_tags WHERE post_id = $1', [postId]);
+    await db(
+      `INSERT INTO post_tags (post_id, tag_id, position)
+       SELECT $1, tag_id, position FROM unnest($2::int[]) WITH ORDINALITY AS t(tag_id, position)`,
+      [postId, tagIds]
+    );
+
+    // Only write the cache when it differs, so unchanged tags don't bump updated_at
+    await db(
+      'UPDATE posts SET tags = $1 WHERE id = $2 AND tags IS DISTINCT FROM $1',
+      [storedNames, postId]
+    );
+
+    return storedNames;
+  }
+
+  // Rewrite posts.tags from post_tags for the given posts
+  static async refreshPostTags(postIds, client) {
+    if (postIds.length === 0) return;
+
+    await client.query(
+      `UPDATE posts p
+       SET tags = COALESCE((
+         SELECT array_agg(t.name ORDER BY pt.position)
+         FROM post_tags pt JOIN tags t ON t.id = pt.tag_id
+         WHERE pt.post_id = p.id
+       ), '{}')
+       WHERE p.id = ANY($1)`,
+      [postIds]
+    );
+  }
+
+  // Tags with published posts, most used first
+  // `search` matches the start of the tag or of any word in it (autocomplete)
+  static async findAll({ page = 1, limit = 20, search = null }) {
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (search) {
+      const prefix = slugifyTag(search);
+      conditions.push(`(t.slug LIKE $${paramCount} OR t.slug LIKE $${paramCount + 1})`);
+      params.push(`${prefix}%`, `%-${prefix}%`);
+      paramCount += 2;
+    }
+
+    const whereClause = conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT * FROM (
+         SELECT t.id, t.name, t.slug, t.description, ${POST_COUNT} as post_count
+         FROM tags t
+         WHERE true ${whereClause}
+       ) t
+       WHERE t.post_count > 0
+       ORDER BY t.post_count DESC, t.name ASC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM tags t WHERE ${POST_COUNT} > 0 ${whereClause}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      tags: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Find a tag by slug, with its number of published posts
+  static async findBySlug(slug) {
+    const result = await query(
+      `SELECT t.*, ${POST_COUNT} as post_count FROM tags t WHERE t.slug = $1`,
+      [slug]
+    );
+
+    return result.rows[0];
+  }
+
+  // Change a tag's name and/or description; renaming rewrites every post using it
+  static async update(slug, { name, description }) {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM tags WHERE slug = $1 FOR UPDATE', [slug]);
+      if (current.rows.length === 0) {
+        throw new AppError('Tag not found', 404);
+      }
+      const tag = current.rows[0];
+
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+      let renamed = false;
+
+      if (name !== undefined) {
+        const newName = normalizeTagName(name);
+        const newSlug = slugifyTag(newName);
+
+        if (newSlug !== tag.slug) {
+          const existing = await client.query('SELECT id FROM tags WHERE slug = $1', [newSlug]);
+          if (existing.rows.length > 0) {
+            throw new AppError(`Tag "${newSlug}" already exists; merge the tags instead`, 409);
+          }
+        }
+
+        renamed = newName !== tag.name;
+        updates.push(`name = $${paramCount}`, `slug = $${paramCount + 1}`);
+        values.push(newName, newSlug);
+        paramCount += 2;
+      }
+
+      if (description !== undefined) {
+        updates.push(`description = $${paramCount}`);
+        values.push(description);
+        paramCount++;
+      }
+
+      if (updates.length === 0) {
+        throw new AppError('No fields to update', 400);
+      }
+
+      values.push(tag.id);
+      const result = await client.query(
+        `UPDATE tags SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${paramCount}
+         RETURNING *`,
+        values
+      );
+
+      let postIds = [];
+      if (renamed) {
+        postIds = await this.findPostIds(tag.id, client);
+        await this.refreshPostTags(postIds, client);
+      }
+
+      await client.query('COMMIT');
+
+      if (postIds.length > 0) invalidateTag('posts');
+
+      return { tag: result.rows[0], postsUpdated: postIds.length };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Move every post from one tag to another and delete the first
+  static async merge(sourceSlug, targetSlug) {
+    if (sourceSlug === targetSlug) {
+      throw new AppError('Cannot merge a tag into itself', 400);
+    }
+
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT * FROM tags WHERE slug = ANY($1) ORDER BY id FOR UPDATE',
+        [[sourceSlug, targetSlug]]
+      );
+      const source = result.rows.find(tag => tag.slug === sourceSlug);
+      const target = result.rows.find(tag => tag.slug === targetSlug);
+      if (!source || !target) {
+        throw new AppError(`Tag "${source ? targetSlug : sourceSlug}" not found`, 404);
+      }
+
+      const postIds = await this.findPostIds(source.id, client);
+
+      // Posts that already have both keep the target where it was
+      await client.query(
+        `INSERT INTO post_tags (post_id, tag_id, position)
+         SELECT post_id, $1, position FROM post_tags WHERE tag_id = $2
+         ON CONFLICT (post_id, tag_id) DO NOTHING`,
+        [target.id, source.id]
+      );
+      await client.query('DELETE FROM tags WHERE id = $1', [source.id]);
+      await this.refreshPostTags(postIds, client);
+
+      await client.query('COMMIT');
+
+      if (postIds.length > 0) invalidateTag('posts');
+
+      return { tag: await this.findBySlug(target.slug), postsUpdated: postIds.length };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Delete a tag and remove it from every post
+  static async delete(slug) {
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT id FROM tags WHERE slug = $1 FOR UPDATE', [slug]);
+      if (result.rows.length === 0) {
+        throw new AppError('Tag not found', 404);
+      }
+
+      const postIds = await this.findPostIds(result.rows[0].id, client);
+      await client.query('DELETE FROM tags WHERE id = $1', [result.rows[0].id]);
+      await this.refreshPostTags(postIds, client);
+
+      await client.query('COMMIT');
+
+      if (postIds.length > 0) invalidateTag('posts');
+
+      return { postsUpdated: postIds.length };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Ids of every post (any status) using a tag
+  static async findPostIds(tagId, client) {
+    const result = await client.query('SELECT post_id FROM post_tags WHERE tag_id = $1', [tagId]);
+    return result.rows.map(row => row.post_id);
+  }
+}
+
+export default Tag;
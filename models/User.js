@@ -1,20 +1,24 @@
 import bcrypt from 'bcryptjs';
 import { query } from '../utils/db.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { getDefaultRole } from '../utils/permissions.js';
+import { invalidateTag } from '../utils/cache.js';
 
 export class User {
   // Create a new user
-  static async create({ name, email, password }) {
+  static async create({ name, email, password, role = getDefaultRole() }, client = null) {
+    const db = client ? client.query.bind(client) : query;
+
     // Hash password
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Insert user into database
-    const result = await query(
-      `INSERT INTO users (name, email, password_hash) 
-       VALUES ($1, $2, $3) 
-       RETURNING id, name, email, created_at`,
-      [name, email, passwordHash]
+    const result = await db(
+      `INSERT INTO users (name, email, password_hash, role) 
+       VALUES ($1, $2, $3, $4) 
+       RETURNING id, name, email, role, email_verified_at, created_at`,
+      [name, email, passwordHash, role]
     );
 
     return result.rows[0];
@@ -33,7 +37,7 @@ export class User {
   // Find user by ID
   static async findById(id) {
     const result = await query(
-      'SELECT id, name, email, avatar_url, bio, created_at FROM users WHERE id = $1',
+      'SELECT id, name, email, role, email_verified_at, avatar_url, bio, created_at FROM users WHERE id = $1',
       [id]
     );
 
@@ -41,11 +45,19 @@ export class User {
   }
 
   // Update user profile
-  static async updateProfile(id, { name, bio, avatarUrl }) {
+  // A new email address starts out unverified
+  static async updateProfile(id, { name, email, bio, avatarUrl }, client = null) {
+    const db = client ? client.query.bind(client) : query;
     const updates = [];
     const values = [];
     let paramCount = 1;
 
+    if (email !== undefined) {
+      updates.push(`email = $${paramCount}`, 'email_verified_at = NULL', 'verification_sent_at = NULL');
+      values.push(email);
+      paramCount++;
+    }
+
     if (name !== undefined) {
       updates.push(`name = $${paramCount}`);
       values.push(name);
@@ -70,10 +82,10 @@ export class User {
 
     values.push(id);
 
-    const result = await query(
+    const result = await db(
       `UPDATE users SET ${updates.join(', ')} 
        WHERE id = $${paramCount} 
-       RETURNING id, name, email, avatar_url, bio, created_at`,
+       RETURNING id, name, email, role, email_verified_at, avatar_url, bio, created_at`,
       values
     );
 
@@ -84,15 +96,160 @@ export class User {
     return result.rows[0];
   }
 
+  // List users for administration
+  static async findAll({ page = 1, limit = 20, role = null, search = null }) {
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (role) {
+      conditions.push(`role = $${paramCount}`);
+      params.push(role);
+      paramCount++;
+    }
+
+    if (search) {
+      conditions.push(`(name ILIKE $${paramCount} OR email ILIKE $${paramCount})`);
+      params.push(`%${search}%`);
+      paramCount++;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT id, name, email, role, email_verified_at, avatar_url, bio, locked_until, created_at, updated_at
+       FROM users
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) FROM users ${whereClause}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      users: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Change a user's role
+  static async updateRole(id, role, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `UPDATE users SET role = $1 
+       WHERE id = $2 
+       RETURNING id, name, email, role, email_verified_at, avatar_url, bio, created_at`,
+      [role, id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  // Mark an email address as verified (only if it is still the user's address)
+  // Returns the user, or null if the address has changed since the link was sent
+  static async markEmailVerified(id, email, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) 
+       WHERE id = $1 AND email = $2 
+       RETURNING id, name, email, role, email_verified_at, avatar_url, bio, created_at`,
+      [id, email]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Record that a verification email is being sent, unless one was sent within `intervalSeconds`
+  // Returns false when throttled
+  static async claimVerificationSend(id, intervalSeconds) {
+    const result = await query(
+      `UPDATE users SET verification_sent_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 
+         AND email_verified_at IS NULL 
+         AND (verification_sent_at IS NULL 
+              OR verification_sent_at < CURRENT_TIMESTAMP - make_interval(secs => $2)) 
+       RETURNING id`,
+      [id, intervalSeconds]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Count a failed login; enough of them in a row lock the account
+  // Each lockout lasts twice as long as the one before, up to `maxMinutes`
+  // Returns { locked_until, failed_login_count }
+  static async registerFailedLogin(id, { maxFailures, baseMinutes, maxMinutes }) {
+    const result = await query(
+      `UPDATE users SET
+         failed_login_count = CASE WHEN $2 > 0 AND failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+         lockout_count = CASE WHEN $2 > 0 AND failed_login_count + 1 >= $2 THEN lockout_count + 1 ELSE lockout_count END,
+         locked_until = CASE
+           WHEN $2 > 0 AND failed_login_count + 1 >= $2
+             THEN CURRENT_TIMESTAMP + make_interval(mins => LEAST($3 * power(2, LEAST(lockout_count, 20)), $4)::int)
+           ELSE locked_until
+         END
+       WHERE id = $1
+       RETURNING locked_until, failed_login_count`,
+      [id, maxFailures, baseMinutes, maxMinutes]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Forget failed logins and lockouts after a successful login
+  static async resetLoginFailures(id, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    await db(
+      `UPDATE users SET failed_login_count = 0, lockout_count = 0, locked_until = NULL
+       WHERE id = $1 AND (failed_login_count > 0 OR lockout_count > 0 OR locked_until IS NOT NULL)`,
+      [id]
+    );
+  }
+
+  // Lift a lockout early (admin)
+  static async unlock(id, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
+      `UPDATE users SET failed_login_count = 0, lockout_count = 0, locked_until = NULL
+       WHERE id = $1
+       RETURNING id, name, email, role, locked_until, created_at`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
   // Verify password
   static async verifyPassword(plainPassword, hashedPassword) {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
   // Change password
-  static async changePassword(id, currentPassword, newPassword) {
+  static async changePassword(id, currentPassword, newPassword, client = null) {
+    const db = client ? client.query.bind(client) : query;
+
     // Get current password hash
-    const result = await query(
+    const result = await db(
       'SELECT password_hash FROM users WHERE id = $1',
       [id]
     );
@@ -112,7 +269,7 @@ export class User {
     const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
 
     // Update password
-    await query(
+    await db(
       'UPDATE users SET password_hash = $1 WHERE id = $2',
       [newPasswordHash, id]
     );
@@ -130,7 +287,7 @@ export class User {
          COALESCE(SUM(p.views), 0) as total_views
        FROM users u
        LEFT JOIN posts p ON u.id = p.user_id
-       LEFT JOIN comments c ON u.id = c.user_id  
+       LEFT JOIN comments c ON u.id = c.user_id AND c.deleted_at IS NULL
        LEFT JOIN likes l ON p.id = l.post_id
        WHERE u.id = $1
        GROUP BY u.id`,
@@ -146,8 +303,9 @@ export class User {
   }
 
   // Delete user account
-  static async delete(id) {
-    const result = await query(
+  static async delete(id, client = null) {
+    const db = client ? client.query.bind(client) : query;
+    const result = await db(
       'DELETE FROM users WHERE id = $1 RETURNING id',
       [id]
     );
@@ -156,6 +314,10 @@ export class User {
       throw new AppError('User not found', 404);
     }
 
+    // The user's posts were deleted with them; with a caller's client, the
+    // caller invalidates after its own commit
+    if (!client) invalidateTag('posts');
+
     return true;
   }
 }
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getUsers,
+  updateUserRole,
+  deleteUser,
+  unlockUser,
+  getAuditLog
+} from '../controllers/adminController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All admin routes require authentication
+router.use(verifyToken);
+
+// User management
+router.get('/users', requirePermission('user:manage'), getUsers);
+router.patch('/users/:id/role', requirePermission('user:manage'), updateUserRole);
+router.delete('/users/:id', requirePermission('user:manage'), deleteUser);
+router.post('/users/:id/unlock', requirePermission('user:manage'), unlockUser);
+
+// Audit log
+router.get('/audit', requirePermission('audit:read'), getAuditLog);
+
+export default router;
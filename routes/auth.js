@@ -2,24 +2,39 @@ import express from 'express';
 import { 
   register, 
   login, 
+  refresh, 
+  logout, 
+  logoutAll, 
+  verifyEmail, 
+  resendVerification, 
+  forgotPassword, 
+  resetPassword, 
   getProfile, 
   updateProfile, 
   changePassword, 
   getUserById, 
   deleteAccount 
 } from '../controllers/authController.js';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', register);
-router.post('/login', login);
-router.get('/user/:id', getUserById);
+router.post('/login', rateLimit('login'), login);
+router.post('/refresh', refresh);
+router.post('/logout', optionalAuth, logout);
+router.get('/verify-email', verifyEmail);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.get('/user/:id', optionalAuth, getUserById);
 
 // Protected routes
 router.use(verifyToken); // Apply auth middleware to all routes below
 
+router.post('/logout-all', logoutAll);
+router.post('/resend-verification', resendVerification);
 router.get('/profile', getProfile);
 router.put('/profile', updateProfile);
 router.put('/change-password', changePassword);
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  addBookmark,
+  removeBookmark,
+  getBookmarks,
+  getCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection
+} from '../controllers/bookmarkController.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Bookmarks are private: every route requires authentication
+router.use(verifyToken);
+
+router.get('/', getBookmarks);
+router.post('/post/:postId', addBookmark);
+router.delete('/post/:postId', removeBookmark);
+
+router.get('/collections', getCollections);
+router.post('/collections', createCollection);
+router.put('/collections/:id', updateCollection);
+router.delete('/collections/:id', deleteCollection);
+
+export default router;
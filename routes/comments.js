@@ -1,14 +1,18 @@
 import express from 'express';
 import {
   createComment,
+  replyToComment,
   getComments,
+  getReplies,
   getComment,
   updateComment,
   deleteComment,
   getUserComments,
-  getRecentComments
+  getRecentComments,
+  reportComment
 } from '../controllers/commentController.js';
-import { verifyToken, checkOwnership } from '../middleware/auth.js';
+import { verifyToken, requireVerifiedEmail, requireNotBanned, checkOwnership } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -16,15 +20,18 @@ const router = express.Router();
 router.get('/recent', getRecentComments);
 router.get('/post/:postId', getComments);
 router.get('/:id', getComment);
+router.get('/:id/replies', getReplies);
 
 // Protected routes
 router.use(verifyToken); // Apply auth middleware to all routes below
 
-router.post('/post/:postId', createComment);
+router.post('/post/:postId', rateLimit('comment'), requireNotBanned, requireVerifiedEmail('comments'), createComment);
+router.post('/:id/reply', rateLimit('comment'), requireNotBanned, requireVerifiedEmail('comments'), replyToComment);
+router.post('/:id/report', requireNotBanned, reportComment);
 router.get('/user/my-comments', getUserComments);
 
-// Routes requiring ownership verification
-router.put('/:id', checkOwnership('comment'), updateComment);
-router.delete('/:id', checkOwnership('comment'), deleteComment);
+// Routes requiring ownership (or an editor/admin permission)
+router.put('/:id', requireNotBanned, checkOwnership('comment', 'update'), updateComment);
+router.delete('/:id', checkOwnership('comment', 'delete'), deleteComment);
 
 export default router; 
\ No newline at end of file
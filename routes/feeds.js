@@ -0,0 +1,11 @@
+import express from 'express';
+import { getRssFeed, getAtomFeed, getJsonFeed } from '../controllers/feedController.js';
+
+const router = express.Router();
+
+// Public feeds of published posts (?author=, ?tag=, ?mode=full|excerpt)
+router.get('/rss.xml', getRssFeed);
+router.get('/atom.xml', getAtomFeed);
+router.get('/feed.json', getJsonFeed);
+
+export default router;
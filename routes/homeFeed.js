@@ -0,0 +1,13 @@
+import express from 'express';
+import { getHomeFeed, getFollowedTags } from '../controllers/homeFeedController.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// The home feed is personal: every route requires authentication
+router.use(verifyToken);
+
+router.get('/', getHomeFeed);
+router.get('/tags', getFollowedTags);
+
+export default router;
@@ -9,6 +9,7 @@ import {
   getUserLikeStats
 } from '../controllers/likeController.js';
 import { verifyToken, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -23,7 +24,7 @@ router.get('/post/:postId/check', optionalAuth, checkUserLike);
 // Protected routes
 router.use(verifyToken); // Apply auth middleware to all routes below
 
-router.post('/post/:postId/toggle', toggleLike);
+router.post('/post/:postId/toggle', rateLimit('like'), toggleLike);
 router.get('/user/liked-posts', getUserLikedPosts);
 router.get('/user/stats', getUserLikeStats);
 
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getQueue,
+  getModerationComment,
+  approveComment,
+  hideComment,
+  deleteComment,
+  banCommenter,
+  unbanUser,
+  getActions
+} from '../controllers/moderationController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every moderation route requires the comment:moderate permission
+router.use(verifyToken, requirePermission('comment:moderate'));
+
+router.get('/queue', getQueue);
+router.get('/actions', getActions);
+router.get('/comments/:id', getModerationComment);
+router.post('/comments/:id/approve', approveComment);
+router.post('/comments/:id/hide', hideComment);
+router.post('/comments/:id/delete', deleteComment);
+router.post('/comments/:id/ban', banCommenter);
+router.post('/users/:id/unban', unbanUser);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  streamNotifications,
+  getPreferences,
+  updatePreferences
+} from '../controllers/notificationController.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Notifications are personal: every route requires authentication
+router.use(verifyToken);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.get('/events', streamNotifications);
+router.post('/read-all', markAllRead);
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+router.patch('/:id/read', markRead);
+
+export default router;
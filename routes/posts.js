@@ -8,27 +8,51 @@ import {
   getUserPosts,
   getTrendingPosts,
   togglePublish,
-  getPostStats
+  updatePostStatus,
+  getPostStatusHistory,
+  getEditorialQueue,
+  getScheduledPosts,
+  schedulePost,
+  cancelSchedule,
+  getPostStats,
+  getPostEvents
 } from '../controllers/postController.js';
-import { verifyToken, optionalAuth, checkOwnership } from '../middleware/auth.js';
+import {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision
+} from '../controllers/revisionController.js';
+import { verifyToken, optionalAuth, requirePermission, requireVerifiedEmail, checkOwnership } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/', getPosts);
 router.get('/trending', getTrendingPosts);
+router.get('/scheduled', verifyToken, getScheduledPosts); // before /:identifier so it isn't read as a slug
 router.get('/:identifier', optionalAuth, getPost);
+router.get('/:id/events', getPostEvents);
+router.get('/:id/revisions', optionalAuth, getRevisions);
+router.get('/:id/revisions/diff', optionalAuth, getRevisionDiff);
+router.get('/:id/revisions/:revision', optionalAuth, getRevision);
 
 // Protected routes
 router.use(verifyToken); // Apply auth middleware to all routes below
 
-router.post('/', createPost);
+router.post('/', requirePermission('post:create'), requireVerifiedEmail('posts'), createPost);
 router.get('/user/my-posts', getUserPosts);
+router.get('/editorial/queue', requirePermission('post:review'), getEditorialQueue);
 
-// Routes requiring ownership verification
-router.put('/:id', checkOwnership('post'), updatePost);
-router.delete('/:id', checkOwnership('post'), deletePost);
-router.patch('/:id/publish', checkOwnership('post'), togglePublish);
-router.get('/:id/stats', checkOwnership('post'), getPostStats);
+// Routes requiring ownership (or an editor/admin permission)
+router.put('/:id', checkOwnership('post', 'update'), updatePost);
+router.delete('/:id', checkOwnership('post', 'delete'), deletePost);
+router.patch('/:id/publish', checkOwnership('post', 'publish'), togglePublish);
+router.patch('/:id/status', checkOwnership('post', 'read'), updatePostStatus);
+router.get('/:id/status', checkOwnership('post', 'read'), getPostStatusHistory);
+router.put('/:id/schedule', checkOwnership('post', 'publish'), schedulePost);
+router.delete('/:id/schedule', checkOwnership('post', 'publish'), cancelSchedule);
+router.get('/:id/stats', checkOwnership('post', 'read'), getPostStats);
+router.post('/:id/revisions/:revision/restore', checkOwnership('post', 'update'), restoreRevision);
 
 export default router; 
\ No newline at end of file
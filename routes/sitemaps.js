@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getSitemapIndex,
+  getPostsSitemap,
+  getAuthorsSitemap,
+  getTagsSitemap,
+  getNewsSitemap
+} from '../controllers/sitemapController.js';
+
+const router = express.Router();
+
+// Public sitemaps (mounted at the site root)
+router.get('/sitemap.xml', getSitemapIndex);
+router.get('/sitemaps/posts-:page.xml', getPostsSitemap);
+router.get('/sitemaps/authors-:page.xml', getAuthorsSitemap);
+router.get('/sitemaps/tags-:page.xml', getTagsSitemap);
+router.get('/sitemaps/news.xml', getNewsSitemap);
+
+export default router;
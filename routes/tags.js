@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getTags,
+  getTag,
+  followTag,
+  unfollowTag,
+  updateTag,
+  mergeTag,
+  deleteTag
+} from '../controllers/tagController.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getTags);
+router.get('/:slug', getTag);
+
+// Protected routes
+router.use(verifyToken); // Apply auth middleware to all routes below
+
+router.post('/:slug/follow', followTag);
+router.delete('/:slug/follow', unfollowTag);
+router.put('/:slug', requirePermission('tag:manage'), updateTag);
+router.post('/:slug/merge', requirePermission('tag:manage'), mergeTag);
+router.delete('/:slug', requirePermission('tag:manage'), deleteTag);
+
+export default router;
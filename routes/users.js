@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  blockUser,
+  unblockUser,
+  getBlockedUsers
+} from '../controllers/userController.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/:id/followers', getFollowers);
+router.get('/:id/following', getFollowing);
+
+// Protected routes
+router.use(verifyToken); // Apply auth middleware to all routes below
+
+router.get('/me/blocked', getBlockedUsers);
+router.post('/:id/follow', followUser);
+router.delete('/:id/follow', unfollowUser);
+router.post('/:id/block', blockUser);
+router.delete('/:id/block', unblockUser);
+
+export default router;
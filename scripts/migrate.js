@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+
+// Configure environment variables FIRST
+dotenv.config();
+
+import { pool } from '../utils/db.js';
+import { migrateUp, migrateDown, migrationStatus } from '../utils/migrator.js';
+import { log, error } from '../utils/logger.js';
+
+// Usage:
+//   npm run migrate -- up [targetVersion]
+//   npm run migrate -- down [steps]
+//   npm run migrate -- status
+const [command = 'up', arg] = process.argv.slice(2);
+
+// Parse a whole-number argument; anything else is an error rather than NaN
+const parseCount = (value, name, min) => {
+  if (!/^\d+$/.test(value) || parseInt(value) < min) {
+    throw new Error(`${name} must be an integer of at least ${min}, got "${value}"`);
+  }
+  return parseInt(value);
+};
+
+const run = async () => {
+  switch (command) {
+    case 'up': {
+      const target = arg !== undefined ? parseCount(arg, 'Target version', 0) : null;
+      const applied = await migrateUp({ target });
+      log(`Applied ${applied.length} migration(s)`);
+      break;
+    }
+    case 'down': {
+      const steps = arg !== undefined ? parseCount(arg, 'Steps', 1) : 1;
+      const reverted = await migrateDown({ steps });
+      log(`Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const migrations = await migrationStatus();
+      for (const m of migrations) {
+        const state = m.applied ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+        log(`${m.applied ? '[x]' : '[ ]'} ${m.file} (${state})`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (err) => {
+    error('Migration command failed:', err.message);
+    await pool.end();
+    process.exit(1);
+  });
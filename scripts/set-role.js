@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+
+// Configure environment variables FIRST
+dotenv.config();
+
+import { pool, query } from '../utils/db.js';
+import { ROLES, isValidRole } from '../utils/permissions.js';
+import { log, error } from '../utils/logger.js';
+
+// Usage: npm run set-role -- <email> <role>
+// Used to bootstrap the first admin account.
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !isValidRole(role)) {
+    throw new Error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+  }
+
+  const result = await query(
+    'UPDATE users SET role = $1 WHERE email = $2 RETURNING id, email, role',
+    [role, email.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`No user found with email ${email}`);
+  }
+
+  log(`User ${result.rows[0].email} is now ${result.rows[0].role}`);
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (err) => {
+    error('Failed to set role:', err.message);
+    await pool.end();
+    process.exit(1);
+  });
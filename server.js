@@ -8,9 +8,13 @@ import { fileURLToPath } from 'url';
 dotenv.config();
 
 // Import utilities and middleware
-import { testConnection, initializeTables } from './utils/db.js';
+import { testConnection } from './utils/db.js';
+import { migrateUp } from './utils/migrator.js';
+import { startScheduler, stopScheduler } from './utils/scheduler.js';
+import { startCacheSync, stopRealtime } from './utils/realtime.js';
 import { logRequest, log, error } from './utils/logger.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { requestId } from './middleware/requestId.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -18,6 +22,15 @@ import postRoutes from './routes/posts.js';
 import commentRoutes from './routes/comments.js';
 import likeRoutes from './routes/likes.js';
 import uploadRoutes from './routes/uploads.js';
+import adminRoutes from './routes/admin.js';
+import feedRoutes from './routes/feeds.js';
+import sitemapRoutes from './routes/sitemaps.js';
+import tagRoutes from './routes/tags.js';
+import userRoutes from './routes/users.js';
+import homeFeedRoutes from './routes/homeFeed.js';
+import bookmarkRoutes from './routes/bookmarks.js';
+import notificationRoutes from './routes/notifications.js';
+import moderationRoutes from './routes/moderation.js';
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -33,17 +46,34 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  // Let the frontend read rate limit state and the request ID
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'X-Request-Id']
 };
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1 for one hop)
+// so req.ip, and with it per-IP rate limiting, uses the client's address
+// (a hop count, true/false, or comma-separated proxy addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy));
+  } else if (trustProxy === 'true' || trustProxy === 'false') {
+    app.set('trust proxy', trustProxy === 'true');
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
+
+// Request IDs and logging come first so every later log line carries the ID
+app.use(requestId);
+app.use(logRequest);
+
 // Global middleware
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging
-app.use(logRequest);
-
 // Serve static files (uploads)
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
@@ -63,6 +93,19 @@ app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/likes', likeRoutes);
 app.use('/api/uploads', uploadRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/feed', homeFeedRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/moderation', moderationRoutes);
+
+// Syndication feeds (outside /api so feed URLs stay short)
+app.use('/feeds', feedRoutes);
+
+// Search engine sitemaps (/sitemap.xml and /sitemaps/*)
+app.use('/', sitemapRoutes);
 
 // API info endpoint
 app.get('/api', (req, res) => {
@@ -74,7 +117,16 @@ app.get('/api', (req, res) => {
       posts: '/api/posts',
       comments: '/api/comments',
       likes: '/api/likes',
-      uploads: '/api/uploads'
+      uploads: '/api/uploads',
+      admin: '/api/admin',
+      tags: '/api/tags',
+      users: '/api/users',
+      feed: '/api/feed',
+      bookmarks: '/api/bookmarks',
+      notifications: '/api/notifications',
+      moderation: '/api/moderation',
+      feeds: '/feeds',
+      sitemap: '/sitemap.xml'
     },
     documentation: 'See /docs/api-reference.md'
   });
@@ -92,8 +144,16 @@ const startServer = async () => {
     // Test database connection
     await testConnection();
     
-    // Initialize database tables
-    await initializeTables();
+    // Apply pending schema migrations (set AUTO_MIGRATE=false to run them manually)
+    if (process.env.AUTO_MIGRATE !== 'false') {
+      await migrateUp();
+    }
+
+    // Start publishing scheduled posts
+    startScheduler();
+
+    // Keep cached sitemaps in step with changes made on other instances
+    startCacheSync();
     
     // Start server
     app.listen(PORT, () => {
@@ -114,24 +174,28 @@ const startServer = async () => {
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
-  error('Unhandled Rejection at:', promise, 'reason:', reason);
+  error('Unhandled Rejection:', reason instanceof Error ? reason : { reason });
   process.exit(1);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  error('Uncaught Exception thrown:', err.message);
+  error('Uncaught Exception thrown:', err.message, err);
   process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   log('SIGTERM received, shutting down gracefully');
+  stopScheduler();
+  stopRealtime();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   log('SIGINT received, shutting down gracefully');
+  stopScheduler();
+  stopRealtime();
   process.exit(0);
 });
 
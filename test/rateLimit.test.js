@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { slidingWindow } from '../middleware/rateLimit.js';
+
+// 10 hits per 60 second window
+const LIMIT = { max: 10, window: 60 };
+
+test('counts only the current window at its start when the previous one was empty', () => {
+  const result = slidingWindow({ current: 4, previous: 0, elapsed: 0 }, LIMIT);
+
+  assert.equal(result.limited, false);
+  assert.equal(result.remaining, 6);
+  assert.equal(result.reset, 60);
+});
+
+test('weighs the previous window by how much of it the sliding window still covers', () => {
+  // A quarter of the way in, three quarters of the previous window still count: 8 * 0.75 + 2 = 8
+  const result = slidingWindow({ current: 2, previous: 8, elapsed: 15 * 1000 }, LIMIT);
+
+  assert.equal(result.limited, false);
+  assert.equal(result.remaining, 2);
+});
+
+test('lets the previous window fade out as the current one goes on', () => {
+  const early = slidingWindow({ current: 1, previous: 10, elapsed: 6 * 1000 }, LIMIT);
+  const late = slidingWindow({ current: 1, previous: 10, elapsed: 54 * 1000 }, LIMIT);
+
+  // 10 * 0.9 + 1 = 10 is still allowed; 10 * 0.1 + 1 = 2 leaves room for 8 more
+  assert.equal(early.limited, false);
+  assert.equal(early.remaining, 0);
+  assert.equal(late.remaining, 8);
+});
+
+test('allows exactly max hits and limits the next one', () => {
+  assert.equal(slidingWindow({ current: 10, previous: 0, elapsed: 0 }, LIMIT).limited, false);
+  assert.equal(slidingWindow({ current: 11, previous: 0, elapsed: 0 }, LIMIT).limited, true);
+});
+
+test('waits for the previous window to fade when it is what pushes the estimate over', () => {
+  // Half way in: 16 * 0.5 + 3 = 11 > 10. Under the limit again once 16 * w + 3 <= 10,
+  // i.e. w = 7/16 of a window: 60s * 7/16 = 26.25s before the window ends, 3.75s from now.
+  const result = slidingWindow({ current: 3, previous: 16, elapsed: 30 * 1000 }, LIMIT);
+
+  assert.equal(result.limited, true);
+  assert.equal(result.remaining, 0);
+  assert.equal(result.retryAfter, 4);
+  assert.equal(result.reset, 4);
+});
+
+test('waits into the next window when the current window alone is over the limit', () => {
+  // 20 hits with 10s left: the window ends in 10s, then these 20 must fade to 10,
+  // which takes half of the next window (30s). 40s in all.
+  const result = slidingWindow({ current: 20, previous: 0, elapsed: 50 * 1000 }, LIMIT);
+
+  assert.equal(result.limited, true);
+  assert.equal(result.retryAfter, 40);
+  assert.equal(result.reset, 40);
+});
+
+test('the estimate after waiting the reported retry time is back within the limit', () => {
+  const cases = [
+    { current: 3, previous: 16, elapsed: 30 * 1000 },
+    { current: 9, previous: 30, elapsed: 1000 },
+    { current: 25, previous: 40, elapsed: 59 * 1000 }
+  ];
+
+  for (const counts of cases) {
+    const { retryAfter } = slidingWindow(counts, LIMIT);
+    const at = counts.elapsed + retryAfter * 1000;
+    const windowMs = LIMIT.window * 1000;
+
+    // Still in the same window, or moved on: this window's hits become the previous ones
+    const later = at < windowMs
+      ? slidingWindow({ ...counts, elapsed: at }, LIMIT)
+      : slidingWindow({ current: 0, previous: counts.current, elapsed: at - windowMs }, LIMIT);
+
+    assert.equal(later.limited, false, JSON.stringify(counts));
+
+    // ...and a second earlier it was not
+    const before = at - 1000;
+    const earlier = before < windowMs
+      ? slidingWindow({ ...counts, elapsed: before }, LIMIT)
+      : slidingWindow({ current: 0, previous: counts.current, elapsed: before - windowMs }, LIMIT);
+
+    assert.equal(earlier.limited, true, JSON.stringify(counts));
+  }
+});
+
+test('never reports a Retry-After below one second', () => {
+  // Just over the limit, a few milliseconds from fading back under it
+  const result = slidingWindow({ current: 10, previous: 1, elapsed: 59999 }, LIMIT);
+
+  assert.equal(result.limited, true);
+  assert.equal(result.retryAfter, 1);
+});
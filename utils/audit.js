@@ -0,0 +1,83 @@
+import { AuditLog } from '../models/AuditLog.js';
+import { getClient } from './db.js';
+import { invalidateTag } from './cache.js';
+
+// Audit trail of every create, update and delete on posts, comments, likes, users and uploads
+// Changes to the database are made through withAudit(), which records them in the
+// same transaction: the change and its entry are committed together or not at all.
+// `req` supplies the actor, IP and request ID (pass null for changes the system
+// makes on its own).
+
+// Secrets never go into a snapshot; rendered HTML is left out as it follows from the source text
+const OMITTED_FIELDS = new Set(['password', 'password_hash', 'token', 'refresh_token', 'body_html', 'text_html']);
+
+const clean = (snapshot) => {
+  if (!snapshot) return null;
+  return Object.fromEntries(Object.entries(snapshot).filter(([field]) => !OMITTED_FIELDS.has(field)));
+};
+
+// Current state of a post, comment or user, taken before changing it
+// (locked until the end of the transaction when a client is given)
+export const snapshot = (entityType, id, client = null) => AuditLog.snapshot(entityType, id, client);
+
+// Record a change; `after` is read from the database for posts, comments and
+// users unless given (or the entity was deleted)
+// Errors are thrown: pass the change's client so a failed write rolls it back
+export const audit = async (req, { action, entityType, entityId, before = null, after, actorId }, client = null) => {
+  if (after === undefined) {
+    after = action === 'delete' ? null : await AuditLog.snapshot(entityType, entityId, client);
+  }
+
+  return AuditLog.create({
+    actorId: actorId !== undefined ? actorId : req?.user?.id ?? null,
+    action,
+    entityType,
+    entityId,
+    before: clean(before),
+    after: clean(after),
+    ip: req?.ip ?? null,
+    requestId: req?.id ?? null
+  }, client);
+};
+
+// Whether an entry changes the cached public listings: a live post, or a
+// deleted user's posts
+const touchesListings = (entry) =>
+  (entry.entity_type === 'post' && (entry.before?.published || entry.after?.published)) ||
+  (entry.entity_type === 'user' && entry.action === 'delete');
+
+// Make a change and record it in one transaction
+// `change` receives the transaction's client, with snapshot() and record()
+// bound to it; models are passed the client and leave cache invalidation to
+// the caller, which happens here after the commit
+export const withAudit = async (req, change) => {
+  const client = await getClient();
+  const entries = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await change({
+      client,
+      snapshot: (entityType, id) => snapshot(entityType, id, client),
+      record: async (entry) => {
+        const logged = await audit(req, entry, client);
+        entries.push(logged);
+        return logged;
+      }
+    });
+
+    await client.query('COMMIT');
+
+    if (entries.some(touchesListings)) invalidateTag('posts');
+
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+export default { audit, snapshot, withAudit };
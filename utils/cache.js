@@ -0,0 +1,98 @@
+// Small in-process cache with expiry and tag-based invalidation
+// Entries are tagged with what they were built from (e.g. 'posts'); models call
+// invalidateTag() after changing that data, which clears matching entries in every cache.
+// Each instance has its own copy; startCacheSync() in realtime.js passes invalidations on
+// to the other instances, and the TTL bounds how stale they get if one is missed.
+
+const caches = new Set();
+
+// Called with each tag invalidated on this instance (see onInvalidate())
+const invalidationListeners = new Set();
+
+export const createCache = ({ ttlMs = 60 * 1000, maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+  const pending = new Map();
+  // Bumped on every invalidation so values computed from older data are not stored
+  let version = 0;
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value, { tags = [], ttl = ttlMs } = {}) => {
+    // Map keeps insertion order, so the first key is the oldest
+    if (entries.size >= maxEntries && !entries.has(key)) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { value, tags, expiresAt: Date.now() + ttl });
+  };
+
+  // Return the cached value, or build it once even if many requests ask at the same time
+  const wrap = async (key, build, options = {}) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+
+    if (pending.has(key)) return pending.get(key);
+
+    const startVersion = version;
+    const promise = Promise.resolve()
+      .then(build)
+      .then((value) => {
+        if (version === startVersion) {
+          set(key, value, options);
+        }
+        return value;
+      })
+      .finally(() => {
+        if (pending.get(key) === promise) pending.delete(key);
+      });
+
+    pending.set(key, promise);
+    return promise;
+  };
+
+  const invalidate = (tag) => {
+    version++;
+    pending.clear();
+    for (const [key, entry] of entries) {
+      if (entry.tags.includes(tag)) entries.delete(key);
+    }
+  };
+
+  const clear = () => {
+    version++;
+    pending.clear();
+    entries.clear();
+  };
+
+  const cache = { get, set, wrap, invalidate, clear };
+  caches.add(cache);
+  return cache;
+};
+
+// Drop entries tagged `tag` from every cache
+// `broadcast: false` is for invalidations received from another instance
+export const invalidateTag = (tag, { broadcast = true } = {}) => {
+  for (const cache of caches) {
+    cache.invalidate(tag);
+  }
+
+  if (broadcast) {
+    for (const fn of invalidationListeners) fn(tag);
+  }
+};
+
+// Call `fn(tag)` for every invalidation made on this instance; returns a function to stop
+export const onInvalidate = (fn) => {
+  invalidationListeners.add(fn);
+  return () => invalidationListeners.delete(fn);
+};
+
+export default { createCache, invalidateTag, onInvalidate };
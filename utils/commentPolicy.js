@@ -0,0 +1,35 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { hasPermission } from './permissions.js';
+import { Follow } from '../models/Follow.js';
+
+// Who may comment on a post, set by its author
+//   open      - anyone signed in
+//   members   - followers of the author
+//   moderated - anyone, but every comment waits for a moderator
+//   closed    - nobody
+export const COMMENT_POLICIES = ['open', 'members', 'moderated', 'closed'];
+
+export const isValidCommentPolicy = (policy) => COMMENT_POLICIES.includes(policy);
+
+// The post's author and moderators are never held back by the policy
+const isExempt = (user, post) => post.user_id === user.id || hasPermission(user, 'comment:moderate');
+
+// Throw unless the user may comment on the post
+export const assertCanComment = async (user, post) => {
+  const policy = post.comment_policy || 'open';
+
+  if (policy === 'closed') {
+    throw new AppError('Comments are closed on this post', 403);
+  }
+
+  if (policy === 'members' && !isExempt(user, post) && !(await Follow.isFollowing(user.id, post.user_id))) {
+    throw new AppError("Only the author's followers can comment on this post", 403);
+  }
+};
+
+// Whether the policy holds the user's comments for review
+export const requiresPremoderation = (user, post) => {
+  return post.comment_policy === 'moderated' && !isExempt(user, post);
+};
+
+export default { COMMENT_POLICIES, isValidCommentPolicy, assertCanComment, requiresPremoderation };
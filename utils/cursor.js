@@ -0,0 +1,49 @@
+import { AppError } from '../middleware/errorHandler.js';
+
+// Opaque cursors for keyset pagination
+// A cursor holds the sort key of the last item returned, e.g. { at, id };
+// timestamps are kept as the database's text so no precision is lost.
+
+export const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Timestamps as the database prints them, e.g. 2024-05-01 09:30:00.123456
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/;
+const MAX_INTEGER = 2147483647;
+
+// A real date and time of day (no February 30th), so the database can cast it
+const isTimestamp = (value) => {
+  const match = typeof value === 'string' && value.match(TIMESTAMP_PATTERN);
+  if (!match) return false;
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hours && date.getUTCMinutes() === minutes && date.getUTCSeconds() === seconds;
+};
+
+// Checks for the field types a cursor can hold
+const FIELD_TYPES = {
+  timestamp: isTimestamp,
+  integer: (value) => Number.isInteger(value) && value > 0 && value <= MAX_INTEGER
+};
+
+// Decode a cursor from a query string; `fields` maps each key it must contain
+// to its type (a key of FIELD_TYPES), e.g. { at: 'timestamp', id: 'integer' }
+export const decodeCursor = (cursor, fields) => {
+  if (cursor === undefined || cursor === '') return null;
+
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (value && typeof value === 'object' &&
+      Object.entries(fields).every(([key, type]) => FIELD_TYPES[type](value[key]))) {
+      return value;
+    }
+  } catch {
+    // fall through to the error below
+  }
+
+  throw new AppError('Invalid cursor', 400);
+};
+
+export default { encodeCursor, decodeCursor };
@@ -1,6 +1,6 @@
 import pg from 'pg';
 import dotenv from 'dotenv';
-import { log, error } from './logger.js';
+import { log, error, debug } from './logger.js';
 
 // Configure environment variables
 dotenv.config();
@@ -29,18 +29,28 @@ const testConnection = async () => {
   }
 };
 
+// SQL on one line, shortened, for logs
+// Parameters are never logged: they carry passwords, hashes and tokens
+const formatSql = (text) => {
+  const sql = text.replace(/\s+/g, ' ').trim();
+  return sql.length > 500 ? `${sql.slice(0, 500)}...` : sql;
+};
+
 // Execute query with error handling
+// Timings are logged at debug level (LOG_LEVEL=debug)
 const query = async (text, params = []) => {
   const start = Date.now();
   try {
     const result = await pool.query(text, params);
-    const duration = Date.now() - start;
-    log(`Query executed in ${duration}ms`);
+    debug('Query executed', { durationMs: Date.now() - start, rows: result.rowCount, sql: formatSql(text) });
     return result;
   } catch (err) {
-    error('Database query error:', err.message);
-    error('Query:', text);
-    error('Params:', params);
+    error('Database query error:', err.message, {
+      code: err.code,
+      durationMs: Date.now() - start,
+      sql: formatSql(text),
+      paramCount: params.length
+    });
     throw err;
   }
 };
@@ -56,89 +66,4 @@ const getClient = async () => {
   }
 };
 
-// Initialize database tables
-const initializeTables = async () => {
-  const createTables = `
-    -- Users table
-    CREATE TABLE IF NOT EXISTS users (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(100) NOT NULL,
-      email VARCHAR(255) UNIQUE NOT NULL,
-      password_hash VARCHAR(255) NOT NULL,
-      avatar_url VARCHAR(500),
-      bio TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- Posts table
-    CREATE TABLE IF NOT EXISTS posts (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      title VARCHAR(255) NOT NULL,
-      excerpt TEXT,
-      body TEXT NOT NULL,
-      image_url VARCHAR(500),
-      slug VARCHAR(255) UNIQUE NOT NULL,
-      tags TEXT[],
-      published BOOLEAN DEFAULT false,
-      views INTEGER DEFAULT 0,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- Comments table
-    CREATE TABLE IF NOT EXISTS comments (
-      id SERIAL PRIMARY KEY,
-      post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      text TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- Likes table
-    CREATE TABLE IF NOT EXISTS likes (
-      id SERIAL PRIMARY KEY,
-      post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
-      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(post_id, user_id)
-    );
-
-    -- Create indexes for better performance
-    CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id);
-    CREATE INDEX IF NOT EXISTS idx_posts_published ON posts(published);
-    CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at);
-    CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id);
-    CREATE INDEX IF NOT EXISTS idx_likes_post_id ON likes(post_id);
-    CREATE INDEX IF NOT EXISTS idx_likes_user_id ON likes(user_id);
-
-    -- Create function to update updated_at timestamp
-    CREATE OR REPLACE FUNCTION update_updated_at_column()
-    RETURNS TRIGGER AS $$
-    BEGIN
-      NEW.updated_at = CURRENT_TIMESTAMP;
-      RETURN NEW;
-    END;
-    $$ language 'plpgsql';
-
-    -- Create triggers for updated_at
-    DROP TRIGGER IF EXISTS update_users_updated_at ON users;
-    CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users 
-      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-    DROP TRIGGER IF EXISTS update_posts_updated_at ON posts;
-    CREATE TRIGGER update_posts_updated_at BEFORE UPDATE ON posts 
-      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-  `;
-
-  try {
-    await query(createTables);
-    log('Database tables initialized successfully');
-  } catch (err) {
-    error('Failed to initialize database tables:', err.message);
-    throw err;
-  }
-};
-
-export { pool, query, getClient, testConnection, initializeTables }; 
\ No newline at end of file
+export { pool, query, getClient, testConnection }; 
\ No newline at end of file
@@ -0,0 +1,103 @@
+// Field-level diff helpers for post revisions
+
+// Above this many LCS cells a text field is reported as a full replacement
+const MAX_LCS_CELLS = 4000000;
+
+// Line-based diff using a longest common subsequence table
+export const diffLines = (fromText = '', toText = '') => {
+  const a = (fromText || '').split('\n');
+  const b = (toText || '').split('\n');
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      { type: 'removed', lines: a },
+      { type: 'added', lines: b }
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  const push = (type, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('unchanged', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i]);
+      i++;
+    } else {
+      push('added', b[j]);
+      j++;
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return hunks;
+};
+
+// Added/removed entries between two arrays
+export const diffArrays = (fromArray, toArray) => {
+  const from = fromArray || [];
+  const to = toArray || [];
+  return {
+    added: to.filter(item => !from.includes(item)),
+    removed: from.filter(item => !to.includes(item))
+  };
+};
+
+// Compare two records field by field
+// Text fields listed in `textFields` are reported as a line diff
+export const diffFields = (from, to, fields, { textFields = [] } = {}) => {
+  const result = {};
+
+  for (const field of fields) {
+    const fromValue = from[field] ?? null;
+    const toValue = to[field] ?? null;
+
+    if (Array.isArray(fromValue) || Array.isArray(toValue)) {
+      const { added, removed } = diffArrays(fromValue, toValue);
+      result[field] = {
+        changed: added.length > 0 || removed.length > 0,
+        from: fromValue,
+        to: toValue,
+        added,
+        removed
+      };
+      continue;
+    }
+
+    const changed = fromValue !== toValue;
+
+    // Long text is returned as line hunks rather than two full copies
+    if (textFields.includes(field)) {
+      result[field] = { changed, lines: changed ? diffLines(fromValue, toValue) : [] };
+    } else {
+      result[field] = { changed, from: fromValue, to: toValue };
+    }
+  }
+
+  return result;
+};
+
+export default { diffLines, diffArrays, diffFields };
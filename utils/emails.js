@@ -0,0 +1,56 @@
+// Email templates: each returns { subject, text, html }
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const passwordResetEmail = ({ name, url, expiresMinutes }) => ({
+  subject: 'Reset your password',
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your password. Open this link to choose a new one:',
+    url,
+    '',
+    `The link expires in ${expiresMinutes} minutes and can only be used once.`,
+    'If you did not request a reset, you can ignore this email.'
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset your password. Open this link to choose a new one:</p>
+<p><a href="${escapeHtml(url)}">Reset password</a></p>
+<p>The link expires in ${expiresMinutes} minutes and can only be used once.
+If you did not request a reset, you can ignore this email.</p>`
+});
+
+export const verifyEmailEmail = ({ name, url, expiresIn }) => ({
+  subject: 'Confirm your email address',
+  text: [
+    `Hi ${name},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    url,
+    '',
+    `The link is valid for ${expiresIn}.`
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm your email address by opening this link:</p>
+<p><a href="${escapeHtml(url)}">Confirm email address</a></p>
+<p>The link is valid for ${escapeHtml(expiresIn)}.</p>`
+});
+
+export const passwordChangedEmail = ({ name }) => ({
+  subject: 'Your password was changed',
+  text: [
+    `Hi ${name},`,
+    '',
+    'The password for your account was just reset and every signed-in session was signed out.',
+    'If this was not you, reset your password again and contact support.'
+  ].join('\n'),
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>The password for your account was just reset and every signed-in session was signed out.</p>
+<p>If this was not you, reset your password again and contact support.</p>`
+});
+
+export default { passwordResetEmail, verifyEmailEmail, passwordChangedEmail };
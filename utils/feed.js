@@ -0,0 +1,171 @@
+// Feed renderers: RSS 2.0, Atom 1.0 and JSON Feed 1.1
+// Each takes the same feed description:
+//   { title, description, siteUrl, feedUrl, updated, items: [item] }
+// where an item is
+//   { id, url, title, summary, contentHtml, authorName, authorUrl, published, updated, tags, image }
+// `contentHtml` is null in excerpt mode.
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export const escapeXml = (value) => String(value ?? '')
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain-text body to HTML paragraphs
+export const textToHtml = (text) => String(text ?? '')
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// Guess an image MIME type from its URL
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+export const imageMimeType = (url) => {
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date(0));
+
+export const renderRss = (feed) => {
+  const items = feed.items.map(item => {
+    const lines = [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <pubDate>${toDate(item.published).toUTCString()}</pubDate>`,
+      `      <dc:creator>${escapeXml(item.authorName)}</dc:creator>`,
+      ...(item.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`),
+      `      <description>${escapeXml(item.summary)}</description>`
+    ];
+
+    if (item.contentHtml) {
+      lines.push(`      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`);
+    }
+
+    // The size of remote images is unknown; 0 is the accepted placeholder
+    if (item.image) {
+      lines.push(`      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageMimeType(item.image)}" />`);
+    }
+
+    lines.push('    </item>');
+    return lines.join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${toDate(feed.updated).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+};
+
+export const renderAtom = (feed) => {
+  const entries = feed.items.map(item => {
+    const lines = [
+      '  <entry>',
+      `    <id>${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+      `    <published>${toDate(item.published).toISOString()}</published>`,
+      `    <updated>${toDate(item.updated).toISOString()}</updated>`,
+      '    <author>',
+      `      <name>${escapeXml(item.authorName)}</name>`,
+      `      <uri>${escapeXml(item.authorUrl)}</uri>`,
+      '    </author>',
+      ...(item.tags || []).map(tag => `    <category term="${escapeXml(tag)}" />`),
+      `    <summary type="text">${escapeXml(item.summary)}</summary>`
+    ];
+
+    if (item.contentHtml) {
+      lines.push(`    <content type="html">${escapeXml(item.contentHtml)}</content>`);
+    }
+
+    if (item.image) {
+      lines.push(`    <link rel="enclosure" type="${imageMimeType(item.image)}" href="${escapeXml(item.image)}" />`);
+    }
+
+    lines.push('  </entry>');
+    return lines.join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />
+  <updated>${toDate(feed.updated).toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+};
+
+export const renderJsonFeed = (feed) => {
+  const items = feed.items.map(item => {
+    const entry = {
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      date_published: toDate(item.published).toISOString(),
+      date_modified: toDate(item.updated).toISOString(),
+      authors: [{ name: item.authorName, url: item.authorUrl }],
+      tags: item.tags || []
+    };
+
+    // JSON Feed requires content; excerpt mode falls back to the summary
+    if (item.contentHtml) {
+      entry.content_html = item.contentHtml;
+    } else {
+      entry.content_text = item.summary;
+    }
+
+    if (item.image) {
+      entry.image = item.image;
+      entry.attachments = [{ url: item.image, mime_type: imageMimeType(item.image) }];
+    }
+
+    return entry;
+  });
+
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    items
+  }, null, 2);
+};
+
+export default { escapeXml, textToHtml, imageMimeType, renderRss, renderAtom, renderJsonFeed };
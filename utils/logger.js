@@ -1,52 +1,148 @@
-// Lightweight logging utility for the blog application
-// Uses console methods with structured formatting for better debugging
+import { getRequestId } from './requestContext.js';
 
-const getTimestamp = () => {
-  return new Date().toISOString();
+// Leveled, structured logging
+// Every entry has a time, level, message and the current request ID (when
+// there is one), plus any fields passed as an object. Production writes one
+// JSON object per line; elsewhere entries are printed as readable lines.
+//
+//   LOG_LEVEL  - debug | info | warn | error | silent (default: debug in development, info otherwise)
+//   LOG_FORMAT - json | pretty (default: json in production, pretty otherwise)
+//
+// log() is an alias of info(). Values of sensitive fields (passwords, tokens,
+// secrets, Authorization and cookies) are replaced before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const SENSITIVE_KEY = /pass(word)?|hash|token|secret|authorization|cookie|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+const getLevel = () => {
+  const level = process.env.LOG_LEVEL?.toLowerCase();
+  if (LEVELS[level]) return LEVELS[level];
+  return process.env.NODE_ENV === 'development' ? LEVELS.debug : LEVELS.info;
 };
 
-const formatMessage = (level, ...args) => {
-  const timestamp = getTimestamp();
-  const prefix = `[${timestamp}] [${level}]`;
-  return [prefix, ...args];
+const isJson = () => {
+  const format = process.env.LOG_FORMAT?.toLowerCase();
+  if (format === 'json' || format === 'pretty') return format === 'json';
+  return process.env.NODE_ENV === 'production';
 };
 
-export const log = (...args) => {
-  console.log(...formatMessage('LOG', ...args));
+// Copy a value with sensitive fields replaced
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return redact({ message: value.message, code: value.code, stack: value.stack }, depth, seen);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Object]';
+  seen.add(value);
+
+  const copy = Array.isArray(value)
+    ? value.map(item => redact(item, depth + 1, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1, seen)
+    ]));
+
+  // Only an object's own ancestors count as circular; it may appear again elsewhere
+  seen.delete(value);
+  return copy;
 };
 
-export const info = (...args) => {
-  console.info(...formatMessage('INFO', ...args));
+// Hide sensitive query string values (e.g. ?token=) in a logged URL
+export const redactUrl = (url) => {
+  const queryStart = url.indexOf('?');
+  if (queryStart === -1) return url;
+
+  const params = new URLSearchParams(url.slice(queryStart + 1));
+  for (const key of [...params.keys()]) {
+    if (SENSITIVE_KEY.test(key)) params.set(key, REDACTED);
+  }
+  return `${url.slice(0, queryStart)}?${params.toString().replaceAll('%5BREDACTED%5D', REDACTED)}`;
 };
 
-export const warn = (...args) => {
-  console.warn(...formatMessage('WARN', ...args));
+// Strings (and numbers) make up the message; objects are merged into the entry's fields
+const buildEntry = (level, args) => {
+  const message = [];
+  let fields = {};
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.err = arg;
+    } else if (arg !== null && typeof arg === 'object' && !Array.isArray(arg)) {
+      fields = { ...fields, ...arg };
+    } else {
+      message.push(typeof arg === 'string' ? arg : JSON.stringify(arg));
+    }
+  }
+
+  const requestId = getRequestId();
+  return {
+    time: new Date().toISOString(),
+    level,
+    msg: message.join(' ').replace(/:$/, ''),
+    ...(requestId && { requestId }),
+    ...redact(fields)
+  };
 };
 
-export const error = (...args) => {
-  console.error(...formatMessage('ERROR', ...args));
+const formatPretty = ({ time, level, msg, requestId, ...fields }) => {
+  const { stack } = fields.err || {};
+  if (stack) fields.err = { ...fields.err, stack: undefined };
+
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  const line = `[${time}] [${level.toUpperCase()}]${requestId ? ` [${requestId}]` : ''} ${msg}${details}`;
+  return stack ? `${line}\n${stack}` : line;
 };
 
-export const debug = (...args) => {
-  if (process.env.NODE_ENV === 'development') {
-    console.debug(...formatMessage('DEBUG', ...args));
+const write = (level, args) => {
+  if (LEVELS[level] < getLevel()) return;
+
+  const entry = buildEntry(level, args);
+  const output = isJson() ? JSON.stringify(entry) : formatPretty(entry);
+
+  if (level === 'error') {
+    console.error(output);
+  } else if (level === 'warn') {
+    console.warn(output);
+  } else {
+    console.log(output);
   }
 };
 
-// Log request information for debugging
+export const debug = (...args) => write('debug', args);
+
+export const info = (...args) => write('info', args);
+
+export const log = info;
+
+export const warn = (...args) => write('warn', args);
+
+export const error = (...args) => write('error', args);
+
+// Log each request once it has been answered (failed requests as warnings or errors)
 export const logRequest = (req, res, next) => {
-  const start = Date.now();
-  const { method, url, ip } = req;
-  
-  log(`${method} ${url} - ${ip}`);
-  
+  const start = process.hrtime.bigint();
+
   res.on('finish', () => {
-    const duration = Date.now() - start;
     const { statusCode } = res;
-    log(`${method} ${url} - ${statusCode} - ${duration}ms`);
+    const level = statusCode >= 500 ? 'error' : statusCode >= 400 ? 'warn' : 'info';
+
+    write(level, [`${req.method} ${redactUrl(req.originalUrl)} ${statusCode}`, {
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      ip: req.ip,
+      userId: req.user?.id
+    }]);
   });
-  
+
   next();
 };
 
-export default { log, info, warn, error, debug, logRequest }; 
\ No newline at end of file
+export default { log, info, warn, error, debug, logRequest, redact, redactUrl };
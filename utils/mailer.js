@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log, error } from './logger.js';
+
+// Outgoing mail with interchangeable transports, chosen by MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (nodemailer)
+//   file    - write each message as JSON into MAIL_FILE_DIR (local development, tests)
+//   console - log each message's recipient and subject (default)
+// A transport is an object with an async send(message) method.
+
+const createSmtpTransport = async () => {
+  const { default: nodemailer } = await import('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const createFileTransport = async () => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    send: async (message) => {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2));
+      return { id, file };
+    }
+  };
+};
+
+// The body is never logged: reset and verification links in it work as credentials
+// (use the file transport to read messages locally)
+const createConsoleTransport = async () => ({
+  send: async (message) => {
+    log(`Mail to ${message.to}: ${message.subject} (body not logged)`);
+    return { id: null };
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transportPromise = null;
+
+// Resolve the configured transport once
+const getTransport = () => {
+  if (!transportPromise) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(transports).join(', ')})`);
+    }
+
+    transportPromise = factory();
+  }
+  return transportPromise;
+};
+
+// Replace the transport (e.g. with a stub), or pass null to go back to MAIL_TRANSPORT
+export const setTransport = (transport) => {
+  transportPromise = transport ? Promise.resolve(transport) : null;
+};
+
+// Send a message: { to, subject, text, html }
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transport = await getTransport();
+  const from = process.env.MAIL_FROM || 'Blog <no-reply@localhost>';
+
+  const result = await transport.send({ from, to, subject, text, html });
+  log(`Mail sent to ${to}: ${subject}`);
+
+  return result;
+};
+
+// Send without making the caller wait; failures are only logged
+// Used where response timing must not depend on whether mail was sent
+export const sendMailInBackground = (message) => {
+  sendMail(message).catch((err) => {
+    error(`Failed to send mail to ${message.to}:`, err.message);
+  });
+};
+
+export default { sendMail, sendMailInBackground, setTransport };
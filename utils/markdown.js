@@ -0,0 +1,86 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// Markdown rendering and HTML sanitization for post bodies and comments
+// Everything stored in posts.body_html / comments.text_html has gone through
+// one of the allow-lists below, so clients can insert it as HTML.
+
+export const BODY_FORMATS = ['markdown', 'html'];
+
+export const isValidBodyFormat = (format) => BODY_FORMATS.includes(format);
+
+const postMarkdown = new Marked({ gfm: true });
+// Comments keep single line breaks, as people type them
+const commentMarkdown = new Marked({ gfm: true, breaks: true });
+
+const POST_ALLOWED_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'p', 'br', 'hr', 'div', 'span',
+  'a', 'img', 'figure', 'figcaption',
+  'strong', 'b', 'em', 'i', 'u', 'del', 's', 'sub', 'sup', 'mark',
+  'code', 'pre', 'blockquote',
+  'ul', 'ol', 'li',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td'
+];
+
+const POST_SANITIZE_OPTIONS = {
+  allowedTags: POST_ALLOWED_TAGS,
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align']
+  },
+  // Only language hints from fenced code blocks
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false
+};
+
+// Comments: inline formatting, lists, quotes and code only; links are marked as user content
+const COMMENT_SANITIZE_OPTIONS = {
+  allowedTags: ['p', 'br', 'a', 'strong', 'b', 'em', 'i', 'del', 's', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'],
+  allowedAttributes: {
+    a: ['href', 'rel']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc' })
+  }
+};
+
+// Render a post body in `format` to sanitized HTML
+export const renderPostBody = (body, format = 'markdown') => {
+  const html = format === 'html' ? body : postMarkdown.parse(body || '');
+  return sanitizeHtml(html, POST_SANITIZE_OPTIONS).trim();
+};
+
+// Render comment Markdown to sanitized HTML
+export const renderCommentText = (text) => {
+  return sanitizeHtml(commentMarkdown.parse(text || ''), COMMENT_SANITIZE_OPTIONS).trim();
+};
+
+// Plain text of rendered HTML (summaries, previews)
+export const htmlToText = (html) => {
+  // Keep words from adjacent blocks apart
+  const spaced = (html || '').replace(/(<\/(?:p|h[1-6]|li|blockquote|pre|div|tr|th|td|figcaption)>|<br\s*\/?>)/gi, '$1 ');
+
+  return sanitizeHtml(spaced, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+export default { BODY_FORMATS, isValidBodyFormat, renderPostBody, renderCommentText, htmlToText };
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { query, getClient } from './db.js';
+import { log, error } from './logger.js';
+
+// Versioned schema migrations
+// Each file in /migrations is named NNN_description.js and exports
+// async up(client) and down(client) functions. Applied versions are
+// tracked in schema_migrations.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary application-wide key so only one instance migrates at a time
+const MIGRATION_LOCK_KEY = 724385001;
+
+// Load migration modules from disk, ordered by version
+const loadMigrations = async () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+
+    migrations.push({
+      version: parseInt(version),
+      name,
+      file,
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  const versions = migrations.map(m => m.version);
+  const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(`Duplicate migration version: ${duplicate}`);
+  }
+
+  return migrations;
+};
+
+// Create the tracking table if needed
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC'
+  );
+  return result.rows;
+};
+
+// Run a callback on a dedicated client holding the migration advisory lock
+const withMigrationLock = async (fn) => {
+  const client = await getClient();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Apply a single migration step inside a transaction
+const runStep = async (client, migration, direction) => {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      );
+    }
+
+    await client.query('COMMIT');
+    log(`Migration ${direction}: ${migration.file}`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    error(`Migration ${direction} failed: ${migration.file}:`, err.message);
+    throw err;
+  }
+};
+
+// Apply all pending migrations (optionally up to a target version)
+export const migrateUp = async ({ target = null } = {}) => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(m => m.version));
+    const pending = migrations.filter(m =>
+      !applied.has(m.version) && (target === null || m.version <= target)
+    );
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+    }
+
+    if (pending.length === 0) {
+      log('Database schema is up to date');
+    }
+
+    return pending.map(m => m.file);
+  });
+};
+
+// Roll back the most recent migrations
+export const migrateDown = async ({ steps = 1 } = {}) => {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = applied.slice(-steps).reverse();
+
+    for (const { version, name } of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} (${name}) not found`);
+      }
+      await runStep(client, migration, 'down');
+    }
+
+    return toRevert.map(m => byVersion.get(m.version).file);
+  });
+};
+
+// List every known migration with its applied state
+// Read-only and without the lock, so it answers while a migration is running
+// (showing the steps committed so far); a database never migrated has none applied
+export const migrationStatus = async () => {
+  const migrations = await loadMigrations();
+
+  const tracked = await query("SELECT to_regclass('schema_migrations') IS NOT NULL as exists");
+  const rows = tracked.rows[0].exists ? await getAppliedMigrations({ query }) : [];
+  const applied = new Map(rows.map(m => [m.version, m]));
+
+  return migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    file: m.file,
+    applied: applied.has(m.version),
+    applied_at: applied.get(m.version)?.applied_at || null
+  }));
+};
+
+export default { migrateUp, migrateDown, migrationStatus };
@@ -0,0 +1,40 @@
+import { Notification } from '../models/Notification.js';
+import { publish } from './realtime.js';
+import { error } from './logger.js';
+
+// Notifications are a side effect of the request that triggers them:
+// they are created in the background and failures are only logged.
+// New notifications are pushed to the recipient's live stream (user:<id>).
+export const notify = (notification) => {
+  Notification.create(notification)
+    .then(async (created) => {
+      if (!created) return;
+
+      const unreadCount = await Notification.getUnreadCount(created.user_id);
+      publish(`user:${created.user_id}`, 'notification', { notification: created, unreadCount });
+    })
+    .catch((err) => {
+      error(`Failed to create ${notification.type} notification for user ${notification.userId}:`, err.message);
+    });
+};
+
+// Tell the people a new (visible) comment concerns: the author of the comment it
+// replies to, and the post's author unless they were the one replied to
+export const notifyNewComment = (comment, post, parent = null) => {
+  if (parent && parent.user_id) {
+    notify({
+      userId: parent.user_id,
+      type: 'reply',
+      actorId: comment.user_id,
+      postId: post.id,
+      commentId: comment.id,
+      parentId: parent.id
+    });
+  }
+
+  if (!parent || post.user_id !== parent.user_id) {
+    notify({ userId: post.user_id, type: 'comment', actorId: comment.user_id, postId: post.id, commentId: comment.id });
+  }
+};
+
+export default { notify, notifyNewComment };
@@ -0,0 +1,55 @@
+// Role-based permissions
+// Roles are ordered from least to most privileged; each role inherits the
+// permissions of the roles before it.
+
+export const ROLES = ['reader', 'author', 'editor', 'admin'];
+
+// Permissions granted by each role (in addition to inherited ones)
+// "<resource>:<action>:any" lets the holder act on content they don't own
+const ROLE_GRANTS = {
+  reader: [],
+  author: [
+    'post:create'
+  ],
+  editor: [
+    'post:read:any',
+    'post:review',
+    'post:update:any',
+    'post:publish:any',
+    'comment:delete:any',
+    'comment:moderate',
+    'tag:manage'
+  ],
+  admin: [
+    'post:delete:any',
+    'user:manage',
+    'audit:read'
+  ]
+};
+
+// Resolve the full permission set of every role once at startup
+const ROLE_PERMISSIONS = ROLES.reduce((acc, role, index) => {
+  const inherited = index > 0 ? acc[ROLES[index - 1]] : new Set();
+  acc[role] = new Set([...inherited, ...ROLE_GRANTS[role]]);
+  return acc;
+}, {});
+
+export const isValidRole = (role) => ROLES.includes(role);
+
+// Role given to newly registered users
+export const getDefaultRole = () => {
+  return isValidRole(process.env.DEFAULT_USER_ROLE) ? process.env.DEFAULT_USER_ROLE : 'author';
+};
+
+// Check whether a user (or role name) holds a permission
+export const hasPermission = (user, permission) => {
+  const role = typeof user === 'string' ? user : user?.role;
+  return Boolean(role && ROLE_PERMISSIONS[role]?.has(permission));
+};
+
+// List the permissions of a role (exposed on the profile)
+export const getPermissions = (role) => {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+};
+
+export default { ROLES, isValidRole, getDefaultRole, hasPermission, getPermissions };
@@ -0,0 +1,63 @@
+// Word count, reading time and excerpts derived from a post's plain text
+
+// Average adult silent reading speed
+const DEFAULT_WORDS_PER_MINUTE = 230;
+
+// Length of generated excerpts, in characters
+export const EXCERPT_LENGTH = 200;
+
+// Reading-time presets for `?length=` on post lists (minutes, inclusive)
+export const READING_TIME_RANGES = {
+  short: { min: null, max: 3 },
+  medium: { min: 4, max: 10 },
+  long: { min: 11, max: null }
+};
+
+const getWordsPerMinute = () => parseInt(process.env.READING_WORDS_PER_MINUTE) || DEFAULT_WORDS_PER_MINUTE;
+
+export const countWords = (text) => {
+  const words = (text || '').trim().match(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu);
+  return words ? words.length : 0;
+};
+
+// Whole minutes, at least 1 for any non-empty text
+export const readingTimeMinutes = (wordCount) => {
+  if (wordCount === 0) return 0;
+  return Math.max(1, Math.round(wordCount / getWordsPerMinute()));
+};
+
+// First sentences of the text that fit in `maxLength`, cut at a word boundary otherwise
+export const generateExcerpt = (text, maxLength = EXCERPT_LENGTH) => {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+
+  const slice = clean.slice(0, maxLength);
+
+  // Prefer ending on a full sentence if one ends past the halfway mark
+  const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+  if (sentenceEnd > maxLength / 2) {
+    return slice.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = slice.lastIndexOf(' ');
+  return `${(wordEnd > 0 ? slice.slice(0, wordEnd) : slice).replace(/[\s,;:.-]+$/, '')}…`;
+};
+
+// All derived fields for a post body, from its plain text
+export const analyzeText = (text) => {
+  const wordCount = countWords(text);
+  return {
+    wordCount,
+    readingTimeMinutes: readingTimeMinutes(wordCount),
+    excerpt: generateExcerpt(text)
+  };
+};
+
+export default {
+  EXCERPT_LENGTH,
+  READING_TIME_RANGES,
+  countWords,
+  readingTimeMinutes,
+  generateExcerpt,
+  analyzeText
+};
@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { RealtimeEvent, NOTIFY_CHANNEL } from '../models/RealtimeEvent.js';
+import { log, error } from './logger.js';
+import { invalidateTag, onInvalidate } from './cache.js';
+import { isAuthStillValid } from '../middleware/auth.js';
+
+// Live updates over Server-Sent Events, fanned out across server instances
+// publish() stores an event and NOTIFYs; each instance keeps one connection that
+// LISTENs, loads announced events and hands them to its local subscribers.
+// Channels are `post:<id>` (comments, likes), `user:<id>` (notifications) and
+// `cache` (invalidations shared between instances, see startCacheSync()).
+
+const RECONNECT_DELAY_MS = 5000;
+const REPLAY_LIMIT = 1000;
+const RETRY_MS = 5000;
+
+const CACHE_CHANNEL = 'cache';
+// Tells this instance's own invalidations apart when they come back
+const INSTANCE_ID = crypto.randomUUID();
+
+const DEFAULT_HEARTBEAT_SECONDS = 25;
+const DEFAULT_RETENTION_MINUTES = 60;
+
+export const getRetentionMinutes = () => {
+  return parseInt(process.env.REALTIME_EVENT_RETENTION_MINUTES) || DEFAULT_RETENTION_MINUTES;
+};
+
+const getHeartbeatMs = () => {
+  return (parseInt(process.env.SSE_HEARTBEAT_SECONDS) || DEFAULT_HEARTBEAT_SECONDS) * 1000;
+};
+
+// channel -> Set of listener functions
+const subscribers = new Map();
+
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+let stopped = false;
+// Highest event id seen, to catch up after the LISTEN connection drops
+let lastSeenId = 0;
+// Notifications are handled one at a time so events are delivered in order
+let queue = Promise.resolve();
+
+const deliver = (event) => {
+  lastSeenId = Math.max(lastSeenId, Number(event.id));
+  for (const fn of subscribers.get(event.channel) || []) {
+    fn(event);
+  }
+};
+
+const handleNotification = async (message) => {
+  try {
+    const { id, channel } = JSON.parse(message.payload);
+    lastSeenId = Math.max(lastSeenId, Number(id));
+    if (!subscribers.has(channel)) return;
+
+    const event = await RealtimeEvent.findById(id);
+    if (event) deliver(event);
+  } catch (err) {
+    error('Failed to deliver realtime event:', err.message);
+  }
+};
+
+const scheduleReconnect = () => {
+  if (stopped || reconnectTimer) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (subscribers.size > 0) ensureListening();
+  }, RECONNECT_DELAY_MS);
+  reconnectTimer.unref();
+};
+
+const connect = async () => {
+  const client = await pool.connect();
+  const wasConnected = lastSeenId > 0;
+
+  client.on('notification', (message) => {
+    queue = queue.then(() => handleNotification(message));
+  });
+
+  client.on('error', (err) => {
+    error('Realtime listener connection lost:', err.message);
+    if (listener === client) listener = null;
+    client.release(err);
+    scheduleReconnect();
+  });
+
+  await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+  listener = client;
+  log('Realtime listener connected');
+
+  // Deliver whatever was published while the connection was down
+  if (wasConnected && subscribers.size > 0) {
+    queue = queue.then(async () => {
+      const missed = await RealtimeEvent.findSince([...subscribers.keys()], lastSeenId, REPLAY_LIMIT);
+      missed.forEach(deliver);
+    }).catch((err) => error('Failed to catch up on realtime events:', err.message));
+  }
+};
+
+const ensureListening = () => {
+  if (listener || connecting || stopped) return;
+
+  connecting = connect()
+    .catch((err) => {
+      error('Realtime listener failed to connect:', err.message);
+      scheduleReconnect();
+    })
+    .finally(() => {
+      connecting = null;
+    });
+};
+
+// Call `fn(event)` for every event published on `channel`; returns an unsubscribe function
+export const subscribe = (channel, fn) => {
+  if (!subscribers.has(channel)) {
+    subscribers.set(channel, new Set());
+  }
+  subscribers.get(channel).add(fn);
+  ensureListening();
+
+  return () => {
+    const listeners = subscribers.get(channel);
+    if (!listeners) return;
+    listeners.delete(fn);
+    if (listeners.size === 0) subscribers.delete(channel);
+  };
+};
+
+// Publish an event to every subscriber of `channel` on every instance
+// Like mail and notifications, a failure is logged and never fails the request
+export const publish = (channel, event, data) => {
+  RealtimeEvent.create(channel, event, data).catch((err) => {
+    error(`Failed to publish ${event} on ${channel}:`, err.message);
+  });
+};
+
+// Serve `channel` as an SSE stream until the client disconnects
+// Clients resuming with a Last-Event-ID header get the events they missed first.
+// Authenticated streams are re-checked on every heartbeat: once the access token
+// expires or its session is revoked, a `session.ended` event is sent and the stream closes.
+export const streamEvents = async (req, res, channel) => {
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Live events that arrive while missed ones are replayed wait their turn
+  let buffered = [];
+  const unsubscribe = subscribe(channel, (event) => {
+    if (buffered) buffered.push(event);
+    else send(event);
+  });
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const heartbeat = setInterval(async () => {
+    if (req.sessionId) {
+      try {
+        if (!(await isAuthStillValid(req))) {
+          close();
+          res.end('event: session.ended\ndata: {}\n\n');
+          return;
+        }
+      } catch (err) {
+        error(`Failed to check the session of a stream on ${channel}:`, err.message);
+      }
+    }
+
+    if (!res.writableEnded) res.write(': heartbeat\n\n');
+  }, getHeartbeatMs());
+
+  req.on('close', close);
+
+  let replayedUpTo = lastEventId;
+  if (lastEventId > 0) {
+    try {
+      const missed = await RealtimeEvent.findSince([channel], lastEventId, REPLAY_LIMIT);
+      missed.forEach(send);
+      if (missed.length > 0) replayedUpTo = Number(missed[missed.length - 1].id);
+    } catch (err) {
+      error(`Failed to replay events on ${channel}:`, err.message);
+    }
+  }
+
+  const pending = buffered;
+  buffered = null;
+  pending.filter(event => Number(event.id) > replayedUpTo).forEach(send);
+};
+
+// Share cache invalidations with the other instances
+// Each invalidation is published on the `cache` channel; the ones other instances
+// publish are applied here. Returns a function to stop.
+export const startCacheSync = () => {
+  const unsubscribe = subscribe(CACHE_CHANNEL, (event) => {
+    if (event.data.instance !== INSTANCE_ID) {
+      invalidateTag(event.data.tag, { broadcast: false });
+    }
+  });
+  const stopBroadcasting = onInvalidate((tag) => {
+    publish(CACHE_CHANNEL, 'cache.invalidated', { tag, instance: INSTANCE_ID });
+  });
+
+  return () => {
+    unsubscribe();
+    stopBroadcasting();
+  };
+};
+
+// Close the LISTEN connection (shutdown)
+export const stopRealtime = () => {
+  stopped = true;
+  clearTimeout(reconnectTimer);
+  if (listener) {
+    listener.release();
+    listener = null;
+  }
+};
+
+export default { subscribe, publish, streamEvents, startCacheSync, stopRealtime, getRetentionMinutes };
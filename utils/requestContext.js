@@ -0,0 +1,13 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context, available anywhere down a request's async call chain
+// (database queries, error handling) without passing `req` around
+const storage = new AsyncLocalStorage();
+
+// Run `fn` with `context` ({ requestId }) as the current request context
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+// ID of the request being handled, or null outside a request (scheduler, scripts)
+export const getRequestId = () => storage.getStore()?.requestId ?? null;
+
+export default { runWithRequestContext, getRequestId };
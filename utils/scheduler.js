@@ -0,0 +1,134 @@
+import { Post } from '../models/Post.js';
+import { Session } from '../models/Session.js';
+import { PasswordReset } from '../models/PasswordReset.js';
+import { RealtimeEvent } from '../models/RealtimeEvent.js';
+import { RateLimit } from '../models/RateLimit.js';
+import { LoginAttempt, getLoginHistoryRetentionDays } from '../models/LoginAttempt.js';
+import { getRetentionMinutes } from './realtime.js';
+import { log, error } from './logger.js';
+
+// In-process scheduler for timed publishing
+// Schedules live in the database (posts.publish_at / unpublish_at), so nothing
+// is lost on restart: the first tick after startup catches up on anything due.
+// Safe to run on every instance; see Post.applyNextScheduled().
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_HOUSEKEEPING_INTERVAL_MS = 5 * 60 * 1000;
+
+// Upper bound per tick so one tick can't run forever
+const MAX_TRANSITIONS_PER_TICK = 100;
+
+// Cleanup jobs, each run on its own so one failing doesn't hold up the others:
+// expired refresh tokens and dead sessions, spent reset tokens, live events too
+// old to resume from, finished rate limit windows and old login history
+const HOUSEKEEPING_TASKS = [
+  ['sessions', () => Session.deleteExpired()],
+  ['password resets', () => PasswordReset.deleteExpired()],
+  ['realtime events', () => RealtimeEvent.deleteOlderThan(getRetentionMinutes())],
+  ['rate limits', () => RateLimit.deleteExpired()],
+  ['login attempts', () => LoginAttempt.deleteOlderThan(getLoginHistoryRetentionDays())]
+];
+
+let timer = null;
+let housekeepingTimer = null;
+let running = false;
+let housekeeping = false;
+
+// Apply every due schedule: publishes first, so a post whose publish and
+// unpublish times both passed while we were down still ends up archived.
+// A post that fails is recorded and skipped (see Post.applyNextScheduled()),
+// so it doesn't hold up the rest.
+export const runScheduledTasks = async () => {
+  if (running) {
+    return { published: 0, unpublished: 0, failed: 0 };
+  }
+
+  running = true;
+  const counts = { published: 0, unpublished: 0, failed: 0 };
+
+  try {
+    for (const kind of ['publish', 'unpublish']) {
+      try {
+        for (let i = 0; i < MAX_TRANSITIONS_PER_TICK; i++) {
+          const applied = await Post.applyNextScheduled(kind);
+          if (!applied) break;
+
+          const { post } = applied;
+
+          if (applied.error) {
+            counts.failed++;
+            error(`Scheduler: could not ${kind} post ${post.id} (${post.title}):`, applied.error.message);
+            continue;
+          }
+
+          counts[kind === 'publish' ? 'published' : 'unpublished']++;
+          log(`Scheduler: ${kind === 'publish' ? 'published' : 'unpublished'} post ${post.id} (${post.title})`);
+        }
+      } catch (err) {
+        error(`Scheduler ${kind} run failed:`, err.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return counts;
+};
+
+export const runHousekeeping = async () => {
+  if (housekeeping) return;
+
+  housekeeping = true;
+
+  try {
+    for (const [name, task] of HOUSEKEEPING_TASKS) {
+      try {
+        await task();
+      } catch (err) {
+        error(`Housekeeping (${name}) failed:`, err.message);
+      }
+    }
+  } finally {
+    housekeeping = false;
+  }
+};
+
+// Start polling. SCHEDULER_ENABLED=false turns off timed publishing on this
+// instance; housekeeping keeps running unless HOUSEKEEPING_ENABLED=false.
+export const startScheduler = () => {
+  if (!housekeepingTimer && process.env.HOUSEKEEPING_ENABLED !== 'false') {
+    const housekeepingInterval = parseInt(process.env.HOUSEKEEPING_INTERVAL_MS) || DEFAULT_HOUSEKEEPING_INTERVAL_MS;
+
+    runHousekeeping();
+    housekeepingTimer = setInterval(runHousekeeping, housekeepingInterval);
+    housekeepingTimer.unref();
+
+    log(`Housekeeping started (every ${housekeepingInterval / 1000}s)`);
+  }
+
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  const interval = parseInt(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  runScheduledTasks();
+  timer = setInterval(runScheduledTasks, interval);
+  timer.unref();
+
+  log(`Scheduler started (every ${interval / 1000}s)`);
+};
+
+export const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  if (housekeepingTimer) {
+    clearInterval(housekeepingTimer);
+    housekeepingTimer = null;
+  }
+};
+
+export default { runScheduledTasks, runHousekeeping, startScheduler, stopScheduler };
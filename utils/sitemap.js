@@ -0,0 +1,54 @@
+import { escapeXml } from './feed.js';
+
+// Sitemap XML (sitemaps.org protocol and the Google News extension)
+
+// Protocol limit: at most 50,000 URLs per sitemap file
+export const MAX_SITEMAP_URLS = 50000;
+
+const toW3cDate = (value) => new Date(value).toISOString();
+
+// A sitemap index: [{ loc, lastmod }]
+export const renderSitemapIndex = (sitemaps) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map(sitemap => [
+  '  <sitemap>',
+  `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+  ...(sitemap.lastmod ? [`    <lastmod>${toW3cDate(sitemap.lastmod)}</lastmod>`] : []),
+  '  </sitemap>'
+].join('\n')).join('\n')}
+</sitemapindex>
+`;
+
+// A URL set: [{ loc, lastmod }]
+export const renderUrlset = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => [
+  '  <url>',
+  `    <loc>${escapeXml(url.loc)}</loc>`,
+  ...(url.lastmod ? [`    <lastmod>${toW3cDate(url.lastmod)}</lastmod>`] : []),
+  '  </url>'
+].join('\n')).join('\n')}
+</urlset>
+`;
+
+// A Google News sitemap: [{ loc, title, publishedAt, keywords }]
+export const renderNewsSitemap = (articles, { publicationName, language }) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+${articles.map(article => [
+  '  <url>',
+  `    <loc>${escapeXml(article.loc)}</loc>`,
+  '    <news:news>',
+  '      <news:publication>',
+  `        <news:name>${escapeXml(publicationName)}</news:name>`,
+  `        <news:language>${escapeXml(language)}</news:language>`,
+  '      </news:publication>',
+  `      <news:publication_date>${toW3cDate(article.publishedAt)}</news:publication_date>`,
+  `      <news:title>${escapeXml(article.title)}</news:title>`,
+  ...(article.keywords?.length ? [`      <news:keywords>${escapeXml(article.keywords.join(', '))}</news:keywords>`] : []),
+  '    </news:news>',
+  '  </url>'
+].join('\n')).join('\n')}
+</urlset>
+`;
+
+export default { MAX_SITEMAP_URLS, renderSitemapIndex, renderUrlset, renderNewsSitemap };
@@ -0,0 +1,110 @@
+import { Comment } from '../models/Comment.js';
+
+// Spam screening for new comments
+// Every check looks at a comment and returns points when it matches; the total
+// decides whether the comment is published, held for a moderator or rejected.
+// More checks can be plugged in with addSpamCheck().
+
+const DEFAULT_HOLD_SCORE = 3;
+const DEFAULT_REJECT_SCORE = 10;
+const DEFAULT_MAX_LINKS = 2;
+const DEFAULT_DUPLICATE_MIN_LENGTH = 20;
+const DEFAULT_NEW_ACCOUNT_HOURS = 24;
+const DEFAULT_NEW_ACCOUNT_MAX_PER_HOUR = 5;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Name of the hidden form field that only bots fill in
+export const getHoneypotField = () => process.env.SPAM_HONEYPOT_FIELD || 'website';
+
+const getBlockedDomains = () => {
+  return (process.env.SPAM_BLOCKED_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+    .filter(Boolean);
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"'[\]]+/gi;
+
+// Hostnames of the links in a comment
+export const extractLinkHosts = (text) => {
+  return (text.match(LINK_PATTERN) || []).map((link) => {
+    try {
+      return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  });
+};
+
+const checks = [];
+
+// Register a check: `fn(comment)` returns points (0 for no match), sync or async
+// `comment` is { text, userId, postId, accountCreatedAt, honeypot }
+export const addSpamCheck = (name, fn) => {
+  checks.push({ name, fn });
+};
+
+// Bots fill in every field, including the hidden one
+addSpamCheck('honeypot', ({ honeypot }) => {
+  return honeypot ? DEFAULT_REJECT_SCORE : 0;
+});
+
+addSpamCheck('links', ({ text }) => {
+  const count = extractLinkHosts(text).length;
+  const maxLinks = envInt('SPAM_MAX_LINKS', DEFAULT_MAX_LINKS);
+  return count > maxLinks ? DEFAULT_HOLD_SCORE + (count - maxLinks - 1) : 0;
+});
+
+addSpamCheck('blocked_domain', ({ text }) => {
+  const blocked = getBlockedDomains();
+  if (blocked.length === 0) return 0;
+
+  const hosts = extractLinkHosts(text);
+  const matches = hosts.some(host => blocked.some(domain => host === domain || host.endsWith(`.${domain}`)));
+  return matches ? DEFAULT_REJECT_SCORE : 0;
+});
+
+// The same text pasted on other posts within a day
+addSpamCheck('duplicate_text', async ({ text, userId, postId }) => {
+  if (text.length < envInt('SPAM_DUPLICATE_MIN_LENGTH', DEFAULT_DUPLICATE_MIN_LENGTH)) return 0;
+
+  const { byUser, total } = await Comment.countDuplicates(text, { userId, excludePostId: postId, hours: 24 });
+  if (byUser > 0) return 5;
+  return total >= 3 ? DEFAULT_HOLD_SCORE : 0;
+});
+
+// Brand-new accounts commenting in bursts
+addSpamCheck('new_account_velocity', async ({ userId, accountCreatedAt }) => {
+  const newAccountHours = envInt('SPAM_NEW_ACCOUNT_HOURS', DEFAULT_NEW_ACCOUNT_HOURS);
+  const ageHours = (Date.now() - new Date(accountCreatedAt).getTime()) / 3600000;
+  if (ageHours >= newAccountHours) return 0;
+
+  const recent = await Comment.countRecentByUser(userId, { minutes: 60 });
+  return recent >= envInt('SPAM_NEW_ACCOUNT_MAX_PER_HOUR', DEFAULT_NEW_ACCOUNT_MAX_PER_HOUR) ? 5 : 0;
+});
+
+// Run every check; returns { outcome: 'publish' | 'hold' | 'reject', score, reasons }
+export const screenComment = async (comment) => {
+  let score = 0;
+  const reasons = [];
+
+  for (const { name, fn } of checks) {
+    const points = await fn(comment);
+    if (points > 0) {
+      score += points;
+      reasons.push(name);
+    }
+  }
+
+  const rejectScore = envInt('SPAM_REJECT_SCORE', DEFAULT_REJECT_SCORE);
+  const holdScore = envInt('SPAM_HOLD_SCORE', DEFAULT_HOLD_SCORE);
+  const outcome = score >= rejectScore ? 'reject' : score >= holdScore ? 'hold' : 'publish';
+
+  return { outcome, score, reasons };
+};
+
+export default { addSpamCheck, screenComment, extractLinkHosts, getHoneypotField };
@@ -0,0 +1,35 @@
+// Tag names and slugs
+// Names are stored lowercase with single spaces; the slug is a tag's identity,
+// so names that differ only in case, spacing or punctuation are the same tag.
+
+export const MAX_TAGS_PER_POST = 10;
+export const MAX_TAG_LENGTH = 50;
+
+// "  New   York " -> "new york"
+export const normalizeTagName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// "new york" -> "new-york"; letters of any script are kept, accents are dropped
+export const slugifyTag = (name) => normalizeTagName(name)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Normalize a list of tag names, dropping duplicates (by slug) and keeping the first spelling
+export const normalizeTags = (tags) => {
+  const seen = new Set();
+  const result = [];
+
+  for (const tag of tags) {
+    const name = normalizeTagName(tag);
+    const slug = slugifyTag(name);
+    if (!slug || seen.has(slug)) continue;
+
+    seen.add(slug);
+    result.push(name);
+  }
+
+  return result;
+};
+
+export default { MAX_TAGS_PER_POST, MAX_TAG_LENGTH, normalizeTagName, slugifyTag, normalizeTags };
@@ -0,0 +1,25 @@
+// Absolute URLs for links that leave the API (emails, feeds)
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Frontend the API serves (also used for CORS)
+export const getFrontendUrl = () => trimSlash(process.env.FRONTEND_URL || 'http://localhost:3000');
+
+// Public base URL of this API
+export const getApiUrl = () => trimSlash(process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`);
+
+// Frontend pages for posts, authors and tags
+export const getPostUrl = (post) => `${getFrontendUrl()}/posts/${encodeURIComponent(post.slug)}`;
+
+export const getAuthorUrl = (userId) => `${getFrontendUrl()}/authors/${userId}`;
+
+export const getTagUrl = (slug) => `${getFrontendUrl()}/tags/${encodeURIComponent(slug)}`;
+
+// Make a stored URL absolute (local uploads are saved as "/uploads/...")
+export const toAbsoluteUrl = (url) => {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${getApiUrl()}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+export default { getFrontendUrl, getApiUrl, getPostUrl, getAuthorUrl, getTagUrl, toAbsoluteUrl };
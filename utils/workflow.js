@@ -0,0 +1,137 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { hasPermission } from './permissions.js';
+
+// Editorial workflow for posts
+// draft -> submitted -> in_review -> approved -> published -> archived
+
+export const POST_STATUSES = ['draft', 'submitted', 'in_review', 'approved', 'published', 'archived'];
+
+// Column stamped when a post enters each status
+export const STATUS_TIMESTAMPS = {
+  submitted: 'submitted_at',
+  in_review: 'review_started_at',
+  approved: 'approved_at',
+  published: 'published_at',
+  archived: 'archived_at'
+};
+
+// Allowed transitions and who may perform them:
+//   owner     - the author (or anyone allowed to edit any post)
+//   reviewer  - holders of post:review
+//   publisher - holders of post:publish:any
+const TRANSITIONS = {
+  draft: { submitted: 'owner', published: 'publisher' },
+  submitted: { draft: 'owner', in_review: 'reviewer' },
+  in_review: { approved: 'reviewer', draft: 'reviewer' },
+  approved: { published: 'publisher', draft: 'owner' },
+  published: { draft: 'owner', archived: 'owner' },
+  archived: { draft: 'owner', published: 'publisher' }
+};
+
+// Statuses a post can be published from without review, when review is turned off
+const LEGACY_PUBLISH_FROM = ['draft', 'archived'];
+
+// Statuses in which an editor's review is in progress
+const UNDER_REVIEW = ['submitted', 'in_review'];
+
+// Sending a post back from review is a rejection and must explain why
+const requiresNotes = (from, to) => from === 'in_review' && to === 'draft';
+
+// Review is required unless REQUIRE_EDITORIAL_REVIEW=false, a legacy opt-out that
+// lets authors publish their own posts directly as they could before the workflow existed
+export const isEditorialReviewRequired = () => {
+  return process.env.REQUIRE_EDITORIAL_REVIEW !== 'false';
+};
+
+export const isValidStatus = (status) => POST_STATUSES.includes(status);
+
+// Statuses a post may be published from at all (by an editor, or the scheduler)
+export const canBePublishedFrom = (status) => Boolean(TRANSITIONS[status]?.published);
+
+// Can this user publish the post without going through review?
+export const canPublishDirectly = (user, post) => {
+  if (hasPermission(user, 'post:publish:any')) {
+    return true;
+  }
+  return !isEditorialReviewRequired() && post.user_id === user.id;
+};
+
+const canAct = (actor, user, post) => {
+  switch (actor) {
+    case 'owner':
+      return post.user_id === user.id || hasPermission(user, 'post:update:any');
+    case 'reviewer':
+      return hasPermission(user, 'post:review');
+    case 'publisher':
+      return hasPermission(user, 'post:publish:any');
+    default:
+      return false;
+  }
+};
+
+// Throw if the user may not move the post to `to`
+export const assertTransition = (user, post, to, notes = null) => {
+  const from = post.status;
+
+  if (!isValidStatus(to)) {
+    throw new AppError(`Invalid status. Allowed statuses: ${POST_STATUSES.join(', ')}`, 400);
+  }
+
+  if (from === to) {
+    throw new AppError(`Post is already ${to}`, 400);
+  }
+
+  // Legacy self-publishing goes straight from draft (or archived) to published,
+  // but never cuts short a review that is under way
+  if (to === 'published' && LEGACY_PUBLISH_FROM.includes(from) && canPublishDirectly(user, post)) {
+    return;
+  }
+
+  if (to === 'published' && UNDER_REVIEW.includes(from)) {
+    throw new AppError('Post is under review and must be approved before it is published', 400);
+  }
+
+  const editorOnly = (to === 'published' || to === 'approved') && !hasPermission(user, 'post:publish:any');
+
+  const actor = TRANSITIONS[from]?.[to];
+  if (!actor) {
+    if (editorOnly) {
+      throw new AppError('Only editors can approve and publish posts', 403);
+    }
+    throw new AppError(`Cannot move a post from ${from} to ${to}`, 400);
+  }
+
+  if (!canAct(actor, user, post)) {
+    const message = editorOnly
+      ? 'Only editors can approve and publish posts'
+      : `You are not allowed to move this post from ${from} to ${to}`;
+    throw new AppError(message, 403);
+  }
+
+  if (requiresNotes(from, to) && !notes?.trim()) {
+    throw new AppError('Reviewer notes are required when rejecting a post', 400);
+  }
+};
+
+// Transitions the user could perform next (for clients to render actions)
+export const getAvailableTransitions = (user, post) => {
+  return POST_STATUSES.filter(to => {
+    try {
+      assertTransition(user, post, to, 'notes');
+      return true;
+    } catch {
+      return false;
+    }
+  });
+};
+
+export default {
+  POST_STATUSES,
+  STATUS_TIMESTAMPS,
+  isEditorialReviewRequired,
+  isValidStatus,
+  canBePublishedFrom,
+  canPublishDirectly,
+  assertTransition,
+  getAvailableTransitions
+};